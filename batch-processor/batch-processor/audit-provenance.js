@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * audit-provenance.js
+ * ───────────────────
+ * Which extractor versions / selector sets produced the stored records
+ * (provenance.js), and which records to redo after a parser bug.
+ *
+ * Without criteria it prints, per collection and extractor, how many records
+ * each version + selectors fingerprint made and when (✓ marks the current
+ * code). With criteria it lists the matching (suspect) records; any of:
+ *
+ *  --versions <n[,n…]>     made by one of these versions
+ *  --below <n>             made by a version below n
+ *  --selectors <fp[,fp…]>  made with one of these selector fingerprints
+ *  --missing               no provenance for the extractor (older records)
+ *  --outdated              stamped by anything but the current version +
+ *                          selectors (unstamped records need --missing)
+ *
+ * Flags
+ *  --collection <c>   match_details (default), match_odds or match_h2h
+ *  --extractor <e>    summary (default), statistics, lineups, odds or h2h
+ *  --out <file>       write the suspect matchIds as JSON
+ *  --rebatch <dir>    write them as batch files for a re-scrape and mark
+ *                     them queued (like export-batches.js)
+ *  --limit <n>        matches per batch file (default 400)
+ *
+ * Matches with page snapshots can be fixed without a re-scrape:
+ * reparse.js --outdated, which takes unstamped details as well (or --match
+ * with the --out list).
+ *
+ * Examples
+ *  node audit-provenance.js
+ *  node audit-provenance.js --extractor summary --below 3 --out buggy.json
+ *  node audit-provenance.js --selectors 4f2a9c01d3be --missing --rebatch batches-rescrape
+ *  node audit-provenance.js --collection match_h2h --extractor h2h --outdated
+ */
+
+import minimist           from 'minimist';
+import fs                 from 'fs/promises';
+import path               from 'path';
+import { connect,
+         findByProvenance,
+         provenanceSummary,
+         transitionMatches } from '../../database.js';
+import { extractorStamp } from './provenance.js';
+
+const argv = minimist(process.argv.slice(2), {
+  boolean: ['missing', 'outdated'],
+  string:  ['versions', 'selectors', 'below']
+});
+const COLLECTION = argv.collection || 'match_details';
+const EXTRACTOR  = argv.extractor || 'summary';
+const LIMIT      = +argv.limit || 400;
+const list = v => (v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Extractors each collection's records carry
+const AUDITED = {
+  match_details: ['summary', 'statistics', 'lineups'],
+  match_odds:    ['odds'],
+  match_h2h:     ['h2h']
+};
+
+const criteria = {
+  extractor: EXTRACTOR,
+  ...(argv.versions  && { versions: list(argv.versions).map(Number) }),
+  ...(argv.below     && { below: +argv.below }),
+  ...(argv.selectors && { selectors: list(argv.selectors) }),
+  ...(argv.missing   && { missing: true }),
+  ...(argv.outdated  && { current: (({ version, selectors }) => ({ version, selectors }))(extractorStamp(EXTRACTOR)) })
+};
+const hasCriteria = Object.keys(criteria).length > 1;
+
+if (!AUDITED[COLLECTION]?.includes(EXTRACTOR)) {
+  console.error(`❌  ${COLLECTION} records carry no '${EXTRACTOR}' provenance (${Object.entries(AUDITED)
+    .map(([c, e]) => `${c}: ${e.join('/')}`).join(', ')})`);
+  process.exit(1);
+}
+if ((argv.out || argv.rebatch) && !hasCriteria) {
+  console.error('❌  --out / --rebatch need --versions, --below, --selectors, --missing or --outdated');
+  process.exit(1);
+}
+
+const { db, client } = await connect();
+const day = d => d ? new Date(d).toISOString().slice(0, 10) : '—';
+
+/* -------------------------- summary -------------------------- */
+if (!hasCriteria) {
+  for (const [collection, extractors] of Object.entries(AUDITED)) {
+    for (const extractor of extractors) {
+      const current = extractorStamp(extractor);
+      console.log(`\n${collection} · ${extractor}  (current v${current.version} ${current.selectors})`);
+      for (const row of await provenanceSummary(collection, extractor)) {
+        const mark = row.version === current.version && row.selectors === current.selectors ? '✓' : ' ';
+        const made = row.version === null ? 'no provenance      ' : `v${row.version} ${row.selectors}`.padEnd(19);
+        console.log(`  ${mark} ${made} ${String(row.count).padStart(7)}  ${day(row.first)} → ${day(row.last)}`);
+      }
+    }
+  }
+  await client.close();
+  process.exit(0);
+}
+
+/* -------------------------- suspects ------------------------- */
+const docs = await findByProvenance(COLLECTION, criteria, { projection: { matchId: 1, provenance: 1 } });
+const matchIds = [...new Set(docs.map(d => d.matchId))];
+console.log(`${COLLECTION} · ${EXTRACTOR}: ${docs.length} suspect record(s), ${matchIds.length} match(es)`);
+
+const byMaker = new Map();
+for (const d of docs) {
+  const stamp = d.provenance?.extractors?.[EXTRACTOR];
+  const key = stamp ? `v${stamp.version} ${stamp.selectors}` : 'no provenance';
+  byMaker.set(key, (byMaker.get(key) || 0) + 1);
+}
+for (const [key, n] of byMaker) console.log(`  ${key.padEnd(19)} ${String(n).padStart(7)}`);
+
+if (argv.out) {
+  await fs.writeFile(argv.out, JSON.stringify(matchIds, null, 2));
+  console.log(`matchIds → ${argv.out}`);
+}
+
+if (argv.rebatch && matchIds.length) {
+  const rows = await db.collection('matches')
+    .find({ matchId: { $in: matchIds }, processingStatus: { $ne: 'duplicate' } })
+    .project({ _id: 0, matchId: 1, scrapeId: 1 })
+    .sort({ scrapeId: 1 })
+    .toArray();
+
+  await fs.mkdir(argv.rebatch, { recursive: true });
+  for (let i = 0; i * LIMIT < rows.length; i++) {
+    const name = path.join(argv.rebatch, `batch-${String(i + 1).padStart(3, '0')}.json`);
+    const slice = rows.slice(i * LIMIT, (i + 1) * LIMIT);
+    await fs.writeFile(name, JSON.stringify(slice));
+    console.log(`Wrote ${slice.length} ➜ ${name}`);
+  }
+
+  const { moved, skipped } = await transitionMatches(
+    { matchId: { $in: rows.map(r => r.matchId) } },
+    'queued',
+    { actor: 'audit-provenance', reason: `re-scrape: ${EXTRACTOR} provenance ${JSON.stringify(criteria)}` }
+  );
+  console.log(`✅ Queued ${moved} match(es) for re-scrape (${skipped} not in a state to be queued)`);
+}
+
+await client.close();
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * dedupe-matches.js
+ * ─────────────────
+ * Finds fixtures stored more than once in `matches` – the same game listed
+ * under several matchIds, or scraped once from each team's page – and
+ * collapses every group onto one canonical record.
+ *
+ * Two rows are the same fixture when they share a matchId or an internalId,
+ * or when both team names match fuzzily (or by team ID) and kickoffs are
+ * within --tolerance minutes.
+ *
+ * The canonical row is the most processed one (complete > h2h_pending > …),
+ * then the oldest. It gets every `team` perspective in teamPerspectives and
+ * the other matchIds in mergedMatchIds. Duplicates are kept, marked
+ * processingStatus 'duplicate' with duplicateOf, so nothing is lost.
+ * match_details / match_h2h / match_odds docs of a duplicate move to the
+ * canonical matchId when it has none of its own, otherwise they are tagged
+ * duplicateOf as well.
+ *
+ * Every group is logged with full before-snapshots: appended to --log
+ * (NDJSON) and, on real runs, stored in the match_merges collection.
+ *
+ * Flags
+ *  --tolerance <min>   max kickoff difference for fuzzy matches (default 60)
+ *  --threshold <0-1>   min team-name similarity (default 0.8)
+ *  --limit <n>         stop after n groups (default all)
+ *  --log <file>        NDJSON merge log (default dedupe-log.ndjson)
+ *  --dry-run           report the groups, write nothing to the database
+ *
+ * Examples
+ *  node dedupe-matches.js --dry-run
+ *  node dedupe-matches.js --tolerance 120 --threshold 0.85 --log merges.ndjson
+ */
+
+import minimist    from 'minimist';
+import fs          from 'fs/promises';
+import crypto      from 'crypto';
+import { connect,
+         transitionMatches } from '../../database.js';
+
+const argv      = minimist(process.argv.slice(2), { boolean: ['dry-run'] });
+const TOLERANCE = (argv.tolerance !== undefined ? +argv.tolerance : 60) * 60_000;
+const THRESHOLD = argv.threshold !== undefined ? +argv.threshold : 0.8;
+const LIMIT     = +argv.limit || 0;
+const LOG_FILE  = argv.log || 'dedupe-log.ndjson';
+const DRY_RUN   = argv['dry-run'];
+const RUN_ID    = `${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Higher = further along; the most processed row becomes canonical
+const STATUS_RANK = {
+  complete: 6, h2h_pending: 5, summary_complete: 4,
+  summary_pending: 3, queued: 2, pending: 1, failed: 0
+};
+const LINKED_COLLECTIONS = ['match_details', 'match_h2h', 'match_odds'];
+const PROJECTION = {
+  matchId: 1, internalId: 1, team: 1, teamName: 1, date: 1, createdAt: 1,
+  homeTeam: 1, awayTeam: 1, homeTeamId: 1, awayTeamId: 1, processingStatus: 1,
+  teamPerspectives: 1
+};
+
+const { db, client } = await connect();
+const matches = db.collection('matches');
+console.log(
+  `Deduping matches (±${TOLERANCE / 60_000} min, similarity ≥ ${THRESHOLD})` +
+  `${DRY_RUN ? ' – dry run' : ''}  run ${RUN_ID}`
+);
+
+/* ---------------------- group candidates --------------------- */
+// Union-find over _id strings; only rows that link to something get in
+const parent  = new Map();
+const docs    = new Map();
+const reasons = new Map();
+
+function find(id) {
+  while (parent.get(id) !== id) {
+    parent.set(id, parent.get(parent.get(id)));
+    id = parent.get(id);
+  }
+  return id;
+}
+
+function link(a, b, reason) {
+  for (const d of [a, b]) {
+    const id = String(d._id);
+    if (!parent.has(id)) { parent.set(id, id); docs.set(id, d); }
+  }
+  const ra = find(String(a._id));
+  const rb = find(String(b._id));
+  const why = new Set([...(reasons.get(ra) || []), ...(reasons.get(rb) || []), reason]);
+  if (ra !== rb) { parent.set(rb, ra); reasons.delete(rb); }
+  reasons.set(ra, why);
+}
+
+// Same matchId / internalId: linked regardless of kickoff
+for (const key of ['matchId', 'internalId']) {
+  const cur = matches.aggregate([
+    { $match: { [key]: { $type: 'string', $ne: '' }, processingStatus: { $ne: 'duplicate' } } },
+    { $group: { _id: `$${key}`, ids: { $push: '$_id' }, n: { $sum: 1 } } },
+    { $match: { n: { $gt: 1 } } }
+  ], { allowDiskUse: true });
+
+  for await (const g of cur) {
+    const rows = await matches.find({ _id: { $in: g.ids } }).project(PROJECTION).toArray();
+    for (const row of rows.slice(1)) link(rows[0], row, key);
+  }
+}
+
+// Fuzzy: walk by kickoff, compare each row with the ones inside the window
+const recent = [];
+const cur = matches
+  .find({ date: { $type: 'date' }, processingStatus: { $ne: 'duplicate' } })
+  .project(PROJECTION)
+  .sort({ date: 1 });
+
+let scanned = 0;
+for await (const m of cur) {
+  scanned++;
+  m.keys = { home: nameKey(m.homeTeam), away: nameKey(m.awayTeam) };
+  while (recent.length && m.date - recent[0].date > TOLERANCE) recent.shift();
+
+  for (const other of recent) {
+    if (other.matchId === m.matchId || (other.internalId && other.internalId === m.internalId)) continue;
+    if (sameTeam(other, m, 'home') && sameTeam(other, m, 'away')) link(other, m, 'fuzzy');
+  }
+  recent.push(m);
+}
+
+const groups = new Map();
+for (const id of parent.keys()) {
+  const root = find(id);
+  if (!groups.has(root)) groups.set(root, []);
+  groups.get(root).push(docs.get(id));
+}
+console.log(`Scanned ${scanned} dated matches – ${groups.size} duplicate group(s)`);
+
+/* --------------------------- merge --------------------------- */
+const stats = { groups: 0, duplicates: 0, repointed: 0, tagged: 0 };
+const log = await fs.open(LOG_FILE, 'a');
+
+for (const [root, rows] of groups) {
+  if (LIMIT && stats.groups >= LIMIT) break;
+  stats.groups++;
+
+  rows.sort(byCanonical);
+  const [canonical, ...dupes] = rows;
+  const entry = {
+    runId: RUN_ID,
+    dryRun: !!DRY_RUN,
+    at: new Date(),
+    reasons: [...reasons.get(root)],
+    canonical: { _id: canonical._id, matchId: canonical.matchId, internalId: canonical.internalId },
+    duplicates: dupes.map(d => ({ _id: d._id, matchId: d.matchId, team: d.team })),
+    before: await matches.find({ _id: { $in: rows.map(r => r._id) } }).toArray(),
+    repointed: []
+  };
+
+  console.log(
+    `  ${canonical.matchId} ${canonical.homeTeam} v ${canonical.awayTeam} ← ` +
+    `${dupes.map(d => `${d.matchId}${d.team ? `/${d.team}` : ''}`).join(', ')} (${entry.reasons.join('+')})`
+  );
+  stats.duplicates += dupes.length;
+
+  if (!DRY_RUN) {
+    await mergeGroup(canonical, dupes, entry);
+    await db.collection('match_merges').insertOne(entry);
+  }
+  await log.appendFile(JSON.stringify(entry) + '\n');
+}
+
+await log.close();
+await client.close();
+console.log(
+  `Done  groups ${stats.groups}  duplicates ${stats.duplicates}  ` +
+  `re-pointed ${stats.repointed}  tagged ${stats.tagged}  log ${LOG_FILE}`
+);
+
+async function mergeGroup(canonical, dupes, entry) {
+  const now = new Date();
+  const perspectives = new Map();
+  for (const row of [canonical, ...dupes]) {
+    for (const p of row.teamPerspectives || []) perspectives.set(p.team, p);
+    if (row.team) perspectives.set(row.team, { team: row.team, teamName: row.teamName || null });
+  }
+  const otherIds = [...new Set(dupes.map(d => d.matchId))].filter(id => id !== canonical.matchId);
+
+  await matches.updateOne(
+    { _id: canonical._id },
+    {
+      $set: { teamPerspectives: [...perspectives.values()], updatedAt: now },
+      $addToSet: { mergedMatchIds: { $each: otherIds } }
+    }
+  );
+  await transitionMatches(
+    { _id: { $in: dupes.map(d => d._id) } },
+    'duplicate',
+    {
+      actor: 'dedupe-matches',
+      runId: RUN_ID,
+      reason: `duplicate of ${canonical.matchId} (${entry.reasons.join('+')})`,
+      set: { duplicateOf: canonical.matchId }
+    }
+  );
+
+  // One doc per matchId in each linked collection: move it if the canonical
+  // has none yet, otherwise leave it in place tagged as a duplicate
+  for (const name of LINKED_COLLECTIONS) {
+    const coll = db.collection(name);
+    let hasCanonical = !!(await coll.findOne({ matchId: canonical.matchId }, { projection: { _id: 1 } }));
+
+    for (const matchId of otherIds) {
+      if (!hasCanonical) {
+        const res = await coll.updateOne(
+          { matchId },
+          { $set: {
+            matchId: canonical.matchId,
+            internalId: canonical.internalId,
+            repointedFrom: matchId,
+            updatedAt: now
+          } }
+        );
+        if (res.modifiedCount) {
+          hasCanonical = true;
+          stats.repointed++;
+          entry.repointed.push({ collection: name, from: matchId, to: canonical.matchId });
+        }
+      } else {
+        const res = await coll.updateOne(
+          { matchId },
+          { $set: { duplicateOf: canonical.matchId, updatedAt: now } }
+        );
+        stats.tagged += res.modifiedCount;
+      }
+    }
+  }
+}
+
+function byCanonical(a, b) {
+  return (STATUS_RANK[b.processingStatus] ?? -1) - (STATUS_RANK[a.processingStatus] ?? -1)
+    || (a.createdAt || 0) - (b.createdAt || 0)
+    || String(a.matchId).localeCompare(String(b.matchId));
+}
+
+function sameTeam(a, b, side) {
+  const idA = a[`${side}TeamId`];
+  const idB = b[`${side}TeamId`];
+  if (idA && idB) return idA === idB;
+  return similarity(a.keys[side], b.keys[side]) >= THRESHOLD;
+}
+
+// Lowercase, accents and club-form noise stripped: "1. FC Köln" → "koln"
+function nameKey(name = '') {
+  return name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(t => t && !/^(fc|cf|sc|afc|ac|fk|sk|club|the|\d)$/.test(t))
+    .join('');
+}
+
+// Dice coefficient on character bigrams
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = s => {
+    const m = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.slice(i, i + 2);
+      m.set(g, (m.get(g) || 0) + 1);
+    }
+    return m;
+  };
+  const ga = bigrams(a);
+  let shared = 0;
+  for (const [g, n] of bigrams(b)) shared += Math.min(n, ga.get(g) || 0);
+  return (2 * shared) / (a.length + b.length - 2);
+}
@@ -6,6 +6,8 @@
  *
  * Flags
  *  --limit   <n>           docs per file (default 400)
+ *  --status  <s>           status to export (default pending; h2h_pending
+ *                          re-queues matches whose H2H scrape failed)
  *  --start   <id>          minimum scrapeId (default 0)
  *  --excludeCountry <c1,c2>   skip whole countries      (optional)
  *  --excludeLeague  <l1,l2>   skip specific leagues     (optional)
@@ -14,15 +16,18 @@
  *  node export-batches.js --limit 400
  *  node export-batches.js --excludeLeague "Premier League,LaLiga"
  *  node export-batches.js --start 15000 --excludeCountry England
+ *  node export-batches.js --status h2h_pending
  */
 
 import minimist           from 'minimist';
 import fs                 from 'fs/promises';
-import { connect }        from '../../database.js';
+import { connect,
+         transitionMatches } from '../../database.js';
 
 const argv     = minimist(process.argv.slice(2));
 const LIMIT    = +argv.limit  || 2500;
 const START    = +argv.start  || 0;
+const STATUS   = argv.status  || 'pending';
 
 const EX_COUNTRY = (argv.excludeCountry || '')
   .split(',').map(s=>s.trim()).filter(Boolean);          // ["England","Spain"]
@@ -34,7 +39,7 @@ await fs.mkdir('batches', { recursive: true });
 const { db, client } = await connect();
 
 /* --------------------------- query --------------------------- */
-const query = { processingStatus: 'pending' };
+const query = { processingStatus: STATUS };
 if (START)             query.scrapeId = { $gte: START };
 if (EX_COUNTRY.length) query.country  = { $nin: EX_COUNTRY };
 if (EX_LEAGUE.length)  query.league   = { $nin: EX_LEAGUE };
@@ -61,9 +66,9 @@ async function flush(){
   const name=`batches/batch-${String(fileIdx).padStart(3,'0')}.json`;
   await fs.writeFile(name,JSON.stringify(buf));
   const ids=buf.map(x=>x.matchId);
-  await db.collection('matches').updateMany(
-    { matchId:{ $in: ids } },
-    { $set:{ processingStatus:'queued', updatedAt:new Date() }});
-  console.log(`Wrote ${buf.length} ➜ ${name}`);
+  const { moved, skipped } = await transitionMatches(
+    { matchId:{ $in: ids } }, 'queued',
+    { actor:'export-batches', reason:`exported to ${name}` });
+  console.log(`Wrote ${buf.length} ➜ ${name} (${moved} queued${skipped ? `, ${skipped} could not be queued` : ''})`);
   buf=[];
 }
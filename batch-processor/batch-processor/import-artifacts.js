@@ -3,109 +3,121 @@
 /**
  * import-artifacts.js
  * ------------------
- * Imports processed matches from artifact files
+ * Imports processed matches from artifact files (JSON array or NDJSON)
+ * in chunks of --chunk rows; see importer.js for the status flow, error
+ * handling and validation. Errored rows fail the match at --max-attempts.
+ * sync.js does the same straight from the GitHub artifacts, without files.
+ *
+ * Each file is recorded in `imports` by checksum, so importing the same
+ * file again is a no-op (--force re-imports it).
+ * --dry-run writes nothing: every result is validated and diffed against the
+ * stored matches / match_details (see import-diff.js), and the report goes
+ * to <--report>.json and <--report>.txt (default import-dry-run).
+ *
+ * Usage: node import-artifacts.js <artifacts-dir> [--chunk 200] [--max-attempts 3] [--force]
+ *                                 [--dry-run] [--report import-dry-run]
  */
 
 const main = async () => {
-    const { connect } = await import('../../database.js');
+    const { connect, findImport, recordImport } = await import('../../database.js');
+    const { parseResults } = await import('./results-io.js');
+    const { createImporter, newStats } = await import('./importer.js');
     const fs = await import('fs/promises');
     const path = await import('path');
-    
+    const crypto = await import('crypto');
+    const { default: minimist } = await import('minimist');
+
     // Configuration
-    const ARTIFACTS_DIR = process.argv[2];
+    const argv = minimist(process.argv.slice(2), { boolean: ['force', 'dry-run'] });
+    const ARTIFACTS_DIR = argv._[0];
+    const CHUNK = +argv.chunk || 200;
+    const MAX_ATTEMPTS = +argv['max-attempts'] || 3;
+    const DRY_RUN = argv['dry-run'];
+    const REPORT = argv.report || 'import-dry-run';
     if (!ARTIFACTS_DIR) {
       console.error('❌ No artifacts directory specified. Usage: node import-artifacts.js <artifacts-dir>');
       process.exit(1);
     }
-    
-    console.log(`Importing artifacts from: ${ARTIFACTS_DIR}`);
-    
+
+    console.log(
+      `Importing artifacts from: ${ARTIFACTS_DIR} (chunks of ${CHUNK}, max attempts ${MAX_ATTEMPTS})` +
+      `${DRY_RUN ? ' – dry run, nothing will be written' : ''}`
+    );
+
     // Connect to database
     const { db, client } = await connect();
     console.log('Connected to database');
-    
-    // Get all artifact files
+
+    // Get all artifact files: legacy JSON arrays, NDJSON, and the
+    // batch-NNN.json-results names fetch-artifacts.js saves them under
+    // (dotfiles such as its .artifacts.json manifest are not results)
     const files = await fs.readdir(ARTIFACTS_DIR);
-    const jsonFiles = files.filter(f => f.endsWith('.json'));
-    console.log(`Found ${jsonFiles.length} JSON files`);
-    
-    let totalProcessed = 0;
-    let totalSuccessful = 0;
-    let totalErrors = 0;
-    
+    const jsonFiles = files.filter(f => !f.startsWith('.') && /\.(nd)?json$|-results$/.test(f));
+    console.log(`Found ${jsonFiles.length} result files`);
+
+    const totals = { processed: 0, successful: 0, h2h: 0, errors: 0, failed: 0,
+                     rejected: 0, skipped: 0, filesSkipped: 0 };
+    const { importChunk, diffs } = createImporter(db, { maxAttempts: MAX_ATTEMPTS, dryRun: DRY_RUN });
+
     // Process each file
     for (const file of jsonFiles) {
       const filePath = path.join(ARTIFACTS_DIR, file);
       console.log(`Processing ${filePath}`);
-      
+
       try {
         // Read and parse the file
         const content = await fs.readFile(filePath, 'utf8');
-        const results = JSON.parse(content);
+        const checksum = crypto.createHash('sha256').update(content).digest('hex');
+
+        const previous = await findImport(checksum);
+        if (previous && !argv.force) {
+          console.log(`  ⏭️ Already imported as ${previous.file} on ${previous.importedAt.toISOString()}`);
+          totals.filesSkipped++;
+          continue;
+        }
+
+        const results = parseResults(content, file);
         console.log(`  File contains ${results.length} match results`);
-        
-        // Process each match in the file
-        for (const result of results) {
-          totalProcessed++;
-          
-          try {
-            if (result.error) {
-              console.log(`  ⚠️ Skipping match ${result.matchId} due to error: ${result.error}`);
-              totalErrors++;
-              continue;
-            }
-            
-            // Update match status
-            await db.collection('matches').updateOne(
-              { matchId: result.matchId },
-              { 
-                $set: {
-                  processingStatus: 'complete',
-                  date: result.dateInfo?.parsedDate || null,
-                  internalId: result.dateInfo?.properInternalId || result.details.internalId,
-                  updatedAt: new Date()
-                }
-              }
-            );
-            
-            // Save match details
-            await db.collection('match_details').updateOne(
-              { matchId: result.matchId },
-              { $set: { ...result.details, updatedAt: new Date() } },
-              { upsert: true }
-            );
-            
-            totalSuccessful++;
-            
-            if (totalProcessed % 100 === 0) {
-              console.log(`  Progress: ${totalProcessed} matches processed`);
-            }
-          } catch (err) {
-            console.error(`  ❌ Error processing match ${result.matchId}:`, err.message);
-            totalErrors++;
-          }
+
+        const stats = newStats();
+        for (let i = 0; i < results.length; i += CHUNK) {
+          await importChunk(results.slice(i, i + CHUNK), file, stats);
+          console.log(`  Progress: ${stats.processed}/${results.length} matches processed`);
         }
-        
+
+        if (!DRY_RUN) await recordImport({ checksum, file, rows: results.length, stats });
+        for (const k of Object.keys(stats)) totals[k] += stats[k];
         console.log(`  Completed file ${file}`);
-        
+
       } catch (err) {
         console.error(`❌ Error processing file ${file}:`, err.message);
       }
     }
-    
+
     // Print summary
     console.log('\nImport Summary:');
-    console.log(`Total processed: ${totalProcessed}`);
-    console.log(`Successful: ${totalSuccessful}`);
-    console.log(`Errors: ${totalErrors}`);
-    
+    console.log(`Total processed: ${totals.processed}`);
+    console.log(`Successful: ${totals.successful}`);
+    console.log(`With H2H: ${totals.h2h}`);
+    console.log(`Errors: ${totals.errors} (marked failed: ${totals.failed})`);
+    console.log(`Rejected by validation: ${totals.rejected}`);
+    console.log(`Skipped (status would not allow it): ${totals.skipped}`);
+    console.log(`Files already imported: ${totals.filesSkipped}`);
+
+    if (DRY_RUN) {
+      await fs.writeFile(`${REPORT}.json`, JSON.stringify(diffs.report, null, 2));
+      await fs.writeFile(`${REPORT}.txt`, diffs.toText());
+      console.log(`\n${diffs.toText()}`);
+      console.log(`Dry-run report → ${REPORT}.json, ${REPORT}.txt`);
+    }
+
     // Close connection
     await client.close();
     console.log('Database connection closed');
   };
-  
+
   // Run the importer
   main().catch(err => {
     console.error('Fatal error:', err);
     process.exit(1);
-  });
\ No newline at end of file
+  });
@@ -0,0 +1,179 @@
+/**
+ * import-diff.js
+ * --------------
+ * What an import would change, for import-artifacts.js --dry-run.
+ *
+ * diffResult() compares one scraped result with the stored matches /
+ * match_details docs; createDiffReport() collects those per run and renders
+ * them as JSON and as a readable summary. `lost` fields – stored, but empty
+ * in the new result – are what a broken scraper release looks like; the
+ * importer keeps the stored value, but they are flagged here.
+ */
+
+const EXAMPLES = 20;      // rows listed per category in the text summary
+
+const same = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+const isEmpty = v => v === null || v === undefined || v === '';
+const show = v => v instanceof Date ? v.toISOString() : v;
+
+/**
+ * @param {{match: object|null, details: object|null}} current – stored docs
+ * @param {{matchSet: object, details: object}} next – validated values the import would write
+ * @returns {object} per-match diff
+ */
+export function diffResult(current, next) {
+  const { match = null, details = null } = current;
+  const diff = {
+    matchId: next.details.matchId,
+    isNew: !details,
+    changes: [],
+    lost: [],
+    scoreChanged: false,
+    dateChanged: false,
+    internalIdChanged: false,
+    eventDelta: null
+  };
+
+  const compare = (field, before, after) => {
+    if (isEmpty(after)) {
+      if (!isEmpty(before)) diff.lost.push({ field, before: show(before) });
+      return;
+    }
+    if (!isEmpty(before) && !same(before, after)) {
+      diff.changes.push({ field, before: show(before), after: show(after) });
+    }
+  };
+
+  for (const [field, after] of Object.entries(next.matchSet)) compare(`matches.${field}`, match?.[field], after);
+  diff.dateChanged       = diff.changes.some(c => c.field === 'matches.date');
+  diff.internalIdChanged = diff.changes.some(c => c.field === 'matches.internalId');
+
+  if (diff.isNew) return diff;
+
+  const before = details.basicInfo || {};
+  const after  = next.details.basicInfo || {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (field === 'score') continue;
+    compare(`basicInfo.${field}`, before[field], after[field]);
+  }
+
+  // Score: the stored details score, else the one from the fixture list
+  const oldScore = before.score?.home != null
+    ? before.score
+    : match && { home: match.homeScore ?? null, away: match.awayScore ?? null };
+  const newScore = after.score || {};
+  for (const side of ['home', 'away']) compare(`score.${side}`, oldScore?.[side], newScore[side]);
+  diff.scoreChanged = diff.changes.some(c => c.field.startsWith('score.'));
+
+  for (const side of ['home', 'away']) {
+    compare(`teams.${side}.id`, details.teams?.[side]?.id, next.details.teams?.[side]?.id);
+    compare(`teams.${side}.name`, details.teams?.[side]?.name, next.details.teams?.[side]?.name);
+  }
+  compare('internalId', details.internalId, next.details.internalId);
+
+  const oldEvents = details.events?.length ?? 0;
+  const newEvents = next.details.events?.length ?? 0;
+  if (!newEvents && oldEvents) diff.lost.push({ field: 'events', before: `${oldEvents} events` });
+  else if (oldEvents !== newEvents) diff.eventDelta = { before: oldEvents, after: newEvents };
+
+  // Whole sections that were there and now are not
+  for (const section of ['statistics', 'lineups']) {
+    const had = Object.keys(details[section] || {}).length;
+    const has = Object.keys(next.details[section] || {}).length;
+    if (had && !has) diff.lost.push({ field: section, before: `${had} keys` });
+  }
+
+  return diff;
+}
+
+export function createDiffReport(title = 'Import dry run') {
+  const report = {
+    at: new Date(),
+    totals: { results: 0, new: 0, unchanged: 0, changed: 0, scoreChanged: 0, dateChanged: 0,
+              internalIdChanged: 0, eventDelta: 0, lost: 0, errored: 0, rejected: 0, skipped: 0 },
+    fieldChanges: {},     // field → count
+    fieldLosses: {},
+    matches: [],          // per-match diffs with anything to say
+    rejected: [],         // { matchId, file, collection, errors }
+    skipped: []           // { matchId, file, reason }
+  };
+
+  function add(diff, file) {
+    const t = report.totals;
+    t.results++;
+    if (diff.isNew) t.new++;
+    if (diff.scoreChanged) t.scoreChanged++;
+    if (diff.dateChanged) t.dateChanged++;
+    if (diff.internalIdChanged) t.internalIdChanged++;
+    if (diff.eventDelta) t.eventDelta++;
+    if (diff.lost.length) t.lost++;
+    for (const c of diff.changes) report.fieldChanges[c.field] = (report.fieldChanges[c.field] || 0) + 1;
+    for (const l of diff.lost) report.fieldLosses[l.field] = (report.fieldLosses[l.field] || 0) + 1;
+
+    const changed = diff.changes.length || diff.lost.length || diff.eventDelta;
+    if (!diff.isNew) changed ? t.changed++ : t.unchanged++;
+    if (diff.isNew || changed) report.matches.push({ file, ...diff });
+  }
+
+  function reject(matchId, file, collection, errors) {
+    report.totals.rejected++;
+    report.rejected.push({ matchId, file, collection, errors });
+  }
+
+  function skip(matchId, file, reason) {
+    report.totals.skipped++;
+    report.skipped.push({ matchId, file, reason });
+  }
+
+  function errored() {
+    report.totals.errored++;
+  }
+
+  function toText() {
+    const t = report.totals;
+    const lines = [
+      `${title} – ${report.at.toISOString()}`,
+      '',
+      `Results ${t.results}: new ${t.new}, changed ${t.changed}, unchanged ${t.unchanged}`,
+      `  score changed      ${t.scoreChanged}`,
+      `  date changed       ${t.dateChanged}`,
+      `  internalId changed ${t.internalIdChanged}`,
+      `  event count delta  ${t.eventDelta}`,
+      `  fields lost        ${t.lost}`,
+      `Errored rows ${t.errored}, rejected by validation ${t.rejected}, skipped ${t.skipped}`
+    ];
+
+    const counts = (title, byField) => {
+      const rows = Object.entries(byField).sort((a, b) => b[1] - a[1]);
+      if (!rows.length) return;
+      lines.push('', title);
+      for (const [field, n] of rows) lines.push(`  ${String(n).padStart(6)}  ${field}`);
+    };
+    counts('Changed fields', report.fieldChanges);
+    counts('Lost fields (stored value kept)', report.fieldLosses);
+
+    const section = (title, rows, fmt) => {
+      if (!rows.length) return;
+      lines.push('', `${title} (${rows.length}${rows.length > EXAMPLES ? `, first ${EXAMPLES}` : ''})`);
+      for (const r of rows.slice(0, EXAMPLES)) lines.push(`  ${fmt(r)}`);
+    };
+    const changed = report.matches.filter(m => !m.isNew);
+    section('Score changes', changed.filter(m => m.scoreChanged), m =>
+      `${m.matchId}: ${m.changes.filter(c => c.field.startsWith('score.')).map(c => `${c.field} ${c.before} → ${c.after}`).join(', ')}`);
+    section('Date / internalId changes', report.matches.filter(m => m.dateChanged || m.internalIdChanged), m =>
+      `${m.matchId}: ${m.changes.filter(c => /^matches\.(date|internalId)$/.test(c.field)).map(c => `${c.before} → ${c.after}`).join(', ')}`);
+    section('Event count deltas', changed.filter(m => m.eventDelta), m =>
+      `${m.matchId}: ${m.eventDelta.before} → ${m.eventDelta.after} events`);
+    section('Lost fields', changed.filter(m => m.lost.length), m =>
+      `${m.matchId}: ${m.lost.map(l => l.field).join(', ')}`);
+    section('Rejected', report.rejected, r => `${r.matchId} ${r.collection}: ${r.errors.join('; ')}`);
+    section('Skipped', report.skipped, r => `${r.matchId}: ${r.reason}`);
+
+    return lines.join('\n') + '\n';
+  }
+
+  return { report, add, reject, skip, errored, toText };
+}
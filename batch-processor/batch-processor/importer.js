@@ -0,0 +1,308 @@
+/**
+ * importer.js
+ * -----------
+ * The import logic behind import-artifacts.js and sync.js: turns chunks of
+ * scrape results into match transitions and match_details / match_odds /
+ * match_h2h upserts.
+ *
+ * Status flow: summary_complete → h2h_pending → complete (once H2H is saved),
+ * written as one transition per match (see transitionOp in database.js).
+ * Errored rows always record lastError and increment processingAttempts; the
+ * match goes back to pending, or to failed for permanent error classes (see
+ * scrape-errors.js) and once it reaches maxAttempts – where its status allows.
+ * A successful row for a match that is not in a state to take it (e.g.
+ * already complete) is skipped untouched.
+ * Every part is validated first; an invalid match update or details doc
+ * skips the match, invalid odds/H2H skip that part (all land in `rejects`).
+ * Writes are one bulkWrite per collection and chunk; null/missing values
+ * never overwrite stored ones, at any depth (details are merged into the
+ * stored doc, see upsertOp).
+ */
+
+import { recordTeamSighting, checkDocument, transitionOp } from '../../database.js';
+import { canTransition }                                   from '../../schema.js';
+import { diffResult, createDiffReport }                    from './import-diff.js';
+
+export const newStats = () =>
+  ({ processed: 0, successful: 0, h2h: 0, errors: 0, failed: 0, rejected: 0, skipped: 0 });
+
+const isPlainObject = v => v?.constructor === Object;
+
+// Drop null/undefined at every level, objects left empty (a failed
+// statistics period) and top-level empty arrays (events / sections of a
+// failed extractor), so none of them can wipe stored values
+function withoutNulls(obj, top = true) {
+  const out = {};
+  for (const [key, v] of Object.entries(obj)) {
+    if (v === null || v === undefined) continue;
+    if (top && Array.isArray(v) && !v.length) continue;
+    const value = isPlainObject(v) ? withoutNulls(v, false) : v;
+    if (isPlainObject(value) && !Object.keys(value).length) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+// Pipeline expression laying obj over the stored object at `path`, level by
+// level: fields obj lacks keep their stored values (a stored null or
+// non-object is treated as empty)
+const storedObject = path => ({ $cond: [{ $eq: [{ $type: `$${path}` }, 'object'] }, `$${path}`, {}] });
+const mergeExpr = (path, obj) => ({
+  $mergeObjects: [
+    storedObject(path),
+    Object.fromEntries(Object.entries(obj).map(([key, v]) =>
+      [key, isPlainObject(v) ? mergeExpr(`${path}.${key}`, v) : { $literal: v }]))
+  ]
+});
+
+// The provenance block describes this write, but a part kept from storage
+// (e.g. statistics when the tab failed) keeps the extractor stamp it was made
+// with: stamps are replaced one extractor at a time, each as a whole
+const provenanceExpr = ({ extractors = {}, ...block }) => ({
+  $mergeObjects: [
+    { $literal: block },
+    { extractors: { $mergeObjects: [storedObject('provenance.extractors'), { $literal: extractors }] } }
+  ]
+});
+
+// Upsert op for a validated details/odds/h2h doc: a pipeline update that
+// merges into the stored doc; defaults only fill fields the doc lacks
+export const upsertOp = ({ value, defaulted }) => {
+  const set = {};
+  for (const [key, v] of Object.entries(withoutNulls(value))) {
+    if (defaulted.includes(key)) set[key] = { $ifNull: [`$${key}`, { $literal: v }] };
+    else if (key === 'provenance') set[key] = provenanceExpr(v);
+    else set[key] = isPlainObject(v) ? mergeExpr(key, v) : { $literal: v };
+  }
+  return {
+    updateOne: {
+      filter: { matchId: value.matchId },
+      update: [{ $set: { ...set, updatedAt: '$$NOW' } }],
+      upsert: true
+    }
+  };
+};
+
+// A match under a live lease is being scraped by a queue worker; an import
+// may only move it once the lease is completed (by the worker the row came
+// from, when the row says) or when it has none (batch files)
+const leaseBusy = (lease, workerId) =>
+  !!lease && (!lease.completedAt || (!!workerId && lease.workerId !== workerId));
+const leaseFree = workerId => ({
+  $or: [
+    { lease: { $exists: false } },
+    { 'lease.completedAt': { $exists: true }, ...(workerId && { 'lease.workerId': workerId }) }
+  ]
+});
+const guarded = (op, workerId) => {
+  Object.assign(op.updateMany.filter, leaseFree(workerId));
+  return op;
+};
+
+// A match has a row per team; they normally share status, attempts and
+// lease, but the ops are written against every status and lease they hold
+const combineRows = (rows, workerId) => rows && {
+  ...rows[0],
+  statuses: [...new Set(rows.map(r => r.processingStatus))],
+  processingAttempts: Math.max(...rows.map(r => r.processingAttempts || 0)),
+  lease: (rows.find(r => leaseBusy(r.lease, workerId)) || rows[0]).lease
+};
+
+/**
+ * @param {import('mongodb').Db} db
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts=3] – errored rows fail the match at this many attempts
+ * @param {boolean} [options.dryRun] – write nothing, collect a diff report instead
+ * @param {string} [options.actor='import-artifacts'] – recorded in statusHistory
+ * @param {Function} [options.log=console.log] – per-match messages
+ */
+export function createImporter(db, { maxAttempts = 3, dryRun = false, actor = 'import-artifacts', log = console.log } = {}) {
+  const seenTeams = new Set();     // teamId|name already recorded this run
+  const diffs = createDiffReport();
+
+  // Builds every write for one result; returns false if it was skipped
+  async function planResult(result, stored, ops, file, stats) {
+    const source = `import:${file}`;
+    const meta = { actor, runId: file };
+    const current = stored.match;
+    const check = async (collection, doc, options = {}) => {
+      const res = await checkDocument(collection, doc, { ...options, source, quarantine: !dryRun });
+      if (!res.valid && dryRun) diffs.reject(result.matchId, file, collection, res.errors);
+      return res;
+    };
+
+    if (!current) {
+      log(`  ⚠️ Skipping match ${result.matchId}: not in matches`);
+      stats.skipped++;
+      diffs.skip(result.matchId, file, 'not in matches');
+      return false;
+    }
+
+    if (leaseBusy(current.lease, result.workerId)) {
+      log(`  ⏭️ Skipping match ${result.matchId}: leased by ${current.lease.workerId}`);
+      stats.skipped++;
+      diffs.skip(result.matchId, file, `leased by ${current.lease.workerId}`);
+      return false;
+    }
+
+    if (result.error) {
+      stats.errors++;
+      diffs.errored();
+      const errorClass = result.errorClass || 'unknown';     // legacy rows carry no class
+      const attempts = (current.processingAttempts || 0) + 1;
+      const to = result.permanent || attempts >= maxAttempts ? 'failed' : 'pending';
+      const lastError = {
+        message: result.error,
+        errorClass,
+        permanent: !!result.permanent,
+        scrapeAttempts: result.attempts ?? null,
+        file,
+        at: new Date()
+      };
+
+      // The error is recorded either way; the status only moves where it may
+      // (a released match is already pending, a complete one stays complete)
+      if (current.statuses.every(status => canTransition(status, to))) {
+        ops.matches.push(guarded(transitionOp(result.matchId, current.statuses, to, {
+          ...meta,
+          reason: `${errorClass}: ${result.error}`,
+          incAttempts: true,
+          set: { lastError }
+        }), result.workerId));
+        if (to === 'failed') stats.failed++;
+        log(`  ⚠️ Match ${result.matchId} ${errorClass}: → ${to}, attempt ${attempts} (${result.error})`);
+      } else {
+        ops.matches.push(guarded({
+          updateMany: {
+            filter: { matchId: result.matchId, processingStatus: { $in: current.statuses } },
+            update: { $set: { lastError, updatedAt: new Date() }, $inc: { processingAttempts: 1 } }
+          }
+        }, result.workerId));
+        log(`  ⚠️ Match ${result.matchId} ${errorClass}: stays ${current.statuses.join('/')}, attempt ${attempts} (${result.error})`);
+      }
+      return true;
+    }
+
+    // Validate every part before writing any of it
+    const teams = result.details?.teams || {};
+    const matchCheck = await check('matches', withoutNulls({
+      date: result.dateInfo?.parsedDate,
+      homeTeamId: teams.home?.id,
+      awayTeamId: teams.away?.id,
+      internalId: result.dateInfo?.properInternalId || result.details?.internalId,
+      localKickoff: result.dateInfo?.localKickoff,
+      timeZone: result.dateInfo?.localKickoff && result.dateInfo.timeZone
+    }), { partial: true });
+    const detailsCheck = await check('match_details', result.details);
+    if (!matchCheck.valid || !detailsCheck.valid) {
+      stats.errors++;
+      stats.rejected++;
+      return false;
+    }
+    const oddsCheck = result.odds && await check('match_odds', result.odds);
+    const h2hCheck  = result.h2h  && await check('match_h2h', result.h2h);
+    for (const check of [oddsCheck, h2hCheck]) if (check && !check.valid) stats.rejected++;
+
+    // Summary, then H2H: h2h_pending until the sections are stored, complete after
+    const steps = ['summary_complete', 'h2h_pending', ...(h2hCheck?.valid ? ['complete'] : [])];
+    ops.matches.push(guarded(transitionOp(result.matchId, current.statuses, steps, {
+      ...meta,
+      reason: ['summary imported', 'details saved', 'H2H imported'],
+      set: matchCheck.value,
+      unset: ['lastError']
+    }), result.workerId));
+
+    if (dryRun) {
+      diffs.add(diffResult(stored, { matchSet: matchCheck.value, details: detailsCheck.value }), file);
+      stats.successful++;
+      if (h2hCheck?.valid) stats.h2h++;
+      return true;
+    }
+
+    ops.match_details.push(upsertOp(detailsCheck));
+    if (oddsCheck?.valid) ops.match_odds.push(upsertOp(oddsCheck));
+    if (h2hCheck?.valid) {
+      ops.match_h2h.push(upsertOp(h2hCheck));
+      stats.h2h++;
+    } else if (result.h2hError) {
+      log(`  ⚠️ Match ${result.matchId} left h2h_pending: ${result.h2hError}`);
+    }
+
+    // Register both teams by FlashScore ID so the match can link to them
+    for (const side of ['home', 'away']) {
+      const team = teams[side];
+      if (!team?.id || seenTeams.has(`${team.id}|${team.name}`)) continue;
+      seenTeams.add(`${team.id}|${team.name}`);
+      await recordTeamSighting({
+        teamId: team.id,
+        name: team.name,
+        country: teams.country,
+        crestUrl: team.crestUrl,
+        seenAt: matchCheck.value.date || new Date()
+      });
+    }
+
+    stats.successful++;
+    return true;
+  }
+
+  /**
+   * Reads the chunk's current states, then writes it with one bulkWrite per
+   * collection (dry runs also read the stored fields and details to diff
+   * against). A matchId repeated within the chunk keeps its last row; its
+   * match rows (one per team, duplicates aside) all move together.
+   * @param {object[]} rows – scrape results
+   * @param {string} file – where they came from, for statusHistory / lastError
+   * @param {object} stats – newStats() counters, updated in place
+   */
+  async function importChunk(rows, file, stats) {
+    const chunk = [...new Map(rows.map(r => [r.matchId, r])).values()];
+
+    const ids = { matchId: { $in: chunk.map(r => r.matchId) } };
+    const byId = docs => new Map(docs.map(d => [d.matchId, d]));
+    const matches = new Map();
+    const matchRows = await db.collection('matches')
+      .find({ ...ids, processingStatus: { $ne: 'duplicate' } })
+      .project(dryRun ? { statusHistory: 0 } : { matchId: 1, processingStatus: 1, processingAttempts: 1, lease: 1 })
+      .toArray();
+    for (const row of matchRows) matches.set(row.matchId, [...(matches.get(row.matchId) || []), row]);
+    const details = dryRun
+      ? byId(await db.collection('match_details')
+          .find(ids)
+          .project({ matchId: 1, internalId: 1, basicInfo: 1, teams: 1, events: 1, statistics: 1, lineups: 1 })
+          .toArray())
+      : new Map();
+
+    const ops = { matches: [], match_details: [], match_odds: [], match_h2h: [] };
+    for (const result of chunk) {
+      stats.processed++;
+      try {
+        const stored = {
+          match: combineRows(matches.get(result.matchId), result.workerId),
+          details: details.get(result.matchId) || null
+        };
+        await planResult(result, stored, ops, file, stats);
+      } catch (err) {
+        if (err.name !== 'TransitionError') throw err;
+        log(`  ⏭️ Skipping match ${result.matchId}: ${err.message}`);
+        stats.skipped++;
+        diffs.skip(result.matchId, file, err.message);
+      }
+    }
+    if (dryRun) return;
+
+    // Match rows first, then the data they point at
+    for (const [name, list] of Object.entries(ops)) {
+      if (!list.length) continue;
+      const res = await db.collection(name).bulkWrite(list, { ordered: false });
+      if (name !== 'matches') continue;
+      const expected = list.reduce((n, op) => n + matches.get(op.updateMany.filter.matchId).length, 0);
+      if (res.matchedCount < expected) {
+        log(`  ⚠️ ${expected - res.matchedCount} match row(s) changed status during import – left as they are`);
+        stats.skipped += expected - res.matchedCount;
+      }
+    }
+  }
+
+  return { importChunk, diffs };
+}
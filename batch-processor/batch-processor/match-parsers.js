@@ -0,0 +1,450 @@
+/**
+ * match-parsers.js
+ * ----------------
+ * Selectors and parsing logic for FlashScore match pages, split in two:
+ *
+ *  • parse*Dom(root)  – read raw values out of a DOM. Each one is fully
+ *    self-contained (no references to module scope) so it can be handed
+ *    straight to page.evaluate() and also called in Node on a jsdom document.
+ *  • build*(…)        – turn those raw values into what we store. Plain Node.
+ *
+ * Links are read with getAttribute('href') so IDs come out the same whether
+ * the page was live (absolute hrefs) or loaded from a saved file.
+ */
+
+import {
+  parseKickoff, parseDate, parseShortDate, parseStatValue, statKey,
+  positionsFromFormation, createInternalId, createTeamInternalId,
+  parseMinute, dedupeEvents
+} from '../../utils.js';
+
+// Bump an extractor's version whenever what it stores changes (parse or
+// build side); it is saved in every record's provenance (provenance.js)
+export const EXTRACTOR_VERSIONS = {
+  summary:    1,
+  statistics: 1,
+  lineups:    1,
+  odds:       1,
+  h2h:        1
+};
+
+// ───────────────────────────── summary ─────────────────────────────
+
+export function parseSummaryDom(root = document) {
+  // Basic info
+  const basicInfo = {
+    homeTeam: root.querySelector('.duelParticipant__home .participant__participantName')?.textContent.trim() || null,
+    awayTeam: root.querySelector('.duelParticipant__away .participant__participantName')?.textContent.trim() || null,
+    score: {
+      home: root.querySelector('.detailScore__wrapper span:first-child')?.textContent.trim() || null,
+      away: root.querySelector('.detailScore__wrapper span:last-child')?.textContent.trim() || null
+    },
+    dateStr: root.querySelector('.duelParticipant__startTime')?.textContent.trim() || null,
+    competition: (
+      Array.from(root.querySelectorAll('.detail__breadcrumbs a[itemprop="item"] span[data-testid="wcl-scores-overline-03"]')).pop()?.textContent.trim() || null
+    )
+  };
+
+  // Team & league data
+  const getTeamData = sel => {
+    const name = root.querySelector(`${sel} .participant__participantName`)?.textContent.trim() || null;
+    const href = root.querySelector(`${sel} a.participant__participantLink`)?.getAttribute('href') || null;
+    const id = href ? href.split('/').filter(Boolean).pop() : null;
+    const crestUrl = root.querySelector(`${sel} img.participant__image`)?.getAttribute('src') || null;
+    return { name, id, crestUrl };
+  };
+  const spans = Array.from(root.querySelectorAll('.detail__breadcrumbs a[itemprop="item"] span'));
+  let league = spans.pop()?.textContent.trim() || '';
+  league = league.replace(/ - Round\s*\d+$/i, '');
+  // Breadcrumbs read Soccer › Country › League
+  const country = spans.pop()?.textContent.trim() || null;
+  const teamData = {
+    home: getTeamData('.duelParticipant__home'),
+    away: getTeamData('.duelParticipant__away'),
+    league,
+    country
+  };
+
+  // Event extraction
+  // Headers and incidents are walked in page order so kicks listed under the
+  // "Penalties" header can be told apart from in-game penalties.
+  const events = [];
+  const idFrom = el => {
+    const href = (el?.matches('a') ? el : el?.querySelector('a'))?.getAttribute('href') || null;
+    return href ? href.split('/').filter(Boolean).pop() : null;
+  };
+  let inShootout = false;
+
+  const nodes = root.querySelectorAll(
+    '.smv__incidentsHeader, .smv__incident, .detailScore__incident, .event__incident'
+  );
+  nodes.forEach(inc => {
+    if (inc.matches('.smv__incidentsHeader')) {
+      inShootout = /penalt/i.test(inc.textContent || '');
+      return;
+    }
+
+    const minute = inc.querySelector(
+      '.smv__timeBox, .time, .incident__time'
+    )?.textContent.trim() || null;
+
+    const t = inc.textContent || '';
+    const iconEl = inc.querySelector('.smv__incidentIcon svg, .smv__incidentIconSub svg, [class*="-ico"]');
+    const icon = iconEl?.getAttribute('class') || '';
+    // Goals carry a footballGoal-ico / footballOwnGoal-ico icon; most rows
+    // print neither "Goal" nor the score, so the icon is what finds them
+    const own = /ownGoal/i.test(icon) || /Own goal/i.test(t);
+    const goal = own || /goal/i.test(icon) || /Goal|Gooal/i.test(t) ||
+                 inc.querySelector('.smv__incidentHomeScore, .smv__incidentAwayScore');
+    const missed = /penaltyMissed|missedPenalty/i.test(icon) || /penalty missed|missed penalty/i.test(t);
+    const outEl = inc.querySelector('.smv__subDown');
+
+    let type = 'other';
+    let extra = {};
+    if (inShootout) {
+      type = 'shootoutKick';
+      extra.scored = !missed && !/miss/i.test(icon);
+    } else if (/\bvar\b/i.test(icon) || /\bVAR\b|disallowed|cancelled/i.test(t)) {
+      type = 'var';
+      extra.decision = /disallow/i.test(t)                   ? 'goalDisallowed'
+                     : /penalty/i.test(t) && /cancel/i.test(t) ? 'penaltyCancelled'
+                     : 'other';
+    } else if (missed)  type = 'penaltyMissed';
+    else if (goal)      type = own ? 'ownGoal'
+                             : (/penalty/i.test(icon) || /\(Penalty\)/i.test(t)) ? 'penaltyGoal'
+                             : 'goal';
+    else if (/yellowRed|redYellow/i.test(icon) || /second yellow|2nd yellow/i.test(t)) type = 'secondYellow';
+    else if (inc.querySelector('.yellowCard-ico')) type = 'yellowCard';
+    else if (inc.querySelector('.redCard-ico'))    type = 'redCard';
+    else if (outEl || /substitution/i.test(icon) || /substitution/i.test(t)) {
+      type = /injur/i.test(t) ? 'injurySubstitution' : 'substitution';
+    }
+
+    const playerEl = Array.from(inc.querySelectorAll('a.smv__playerName, .participant__participantName'))
+      .find(el => !outEl?.contains(el)) || null;
+    const player = playerEl?.textContent.trim() || null;
+    const playerId = idFrom(playerEl);
+
+    if (type === 'substitution' || type === 'injurySubstitution') {
+      Object.assign(extra, {
+        playerIn:    player,
+        playerInId:  playerId,
+        playerOut:   outEl?.textContent.trim() || null,
+        playerOutId: idFrom(outEl)
+      });
+    }
+
+    // Unknown incidents keep what we saw so they can be classified later
+    if (type === 'other') extra.raw = { text: t.replace(/\s+/g, ' ').trim(), iconClass: icon || null };
+
+    const assist = inc.querySelector('.smv__assist a')?.textContent.trim() || null;
+
+    // Incident rows are aligned left (home) or right (away)
+    const side = inc.closest('.smv__homeParticipant') ? 'home'
+               : inc.closest('.smv__awayParticipant') ? 'away'
+               : null;
+
+    // Goal incidents print the score after the goal, e.g. "1 - 0"
+    const homeScore = inc.querySelector('.smv__incidentHomeScore')?.textContent.trim() || null;
+    const awayScore = inc.querySelector('.smv__incidentAwayScore')?.textContent.trim() || null;
+
+    events.push({ minute, type, player, playerId, assist, side, homeScore, awayScore, ...extra });
+  });
+
+  return { basicInfo, teamData, events };
+}
+
+// Event types that change the scoreline (own goals are folded into 'goal')
+export const SCORING_TYPES = ['goal', 'penaltyGoal'];
+
+const byMatchTime = (a, b) =>
+  (a.minute ?? Infinity) - (b.minute ?? Infinity) || a.addedTime - b.addedTime;
+
+// Fill scoreAfter on goals the page didn't print a score for, counting goals
+// by the side of the row they sit on. A printed score always wins and resets
+// the count.
+function withRunningScore(events) {
+  const score = { home: 0, away: 0 };
+  for (const e of events) {
+    if (!SCORING_TYPES.includes(e.type)) continue;
+    if (e.scoreAfter && !isNaN(e.scoreAfter.home) && !isNaN(e.scoreAfter.away)) {
+      Object.assign(score, e.scoreAfter);
+      continue;
+    }
+    if (!e.side) continue;
+    score[e.side]++;
+    e.scoreAfter = { ...score };
+  }
+  return events;
+}
+
+// dateOptions: { timeZone, order } – the zone the page was rendered in and how
+// to read slashed dates (see parseKickoff in utils.js); idMode picks how the
+// internalId is built ('name', default, or 'teamId')
+export function buildMatchSummary(matchId, { basicInfo, teamData, events }, dateOptions = {}) {
+  // Parse date and create internalId
+  // Instead of updating DB, we'll include this in the output
+  const kickoff = parseKickoff(basicInfo.dateStr, dateOptions);
+  const matchDate = kickoff?.date || parseDate(basicInfo.dateStr, dateOptions);
+  let dateInfo = null;
+
+  if (matchDate) {
+    // idMode 'teamId' keys on FlashScore team IDs, immune to renames and
+    // same-name clubs; names stay the default so existing IDs keep matching
+    const properInternalId = dateOptions.idMode === 'teamId' && teamData.home.id && teamData.away.id
+      ? createTeamInternalId(teamData.home.id, teamData.away.id, matchDate)
+      : createInternalId(teamData.home.name, teamData.away.name, matchDate);
+    dateInfo = {
+      parsedDate: matchDate,            // UTC
+      localKickoff: kickoff?.local || null,
+      timeZone: kickoff?.timeZone || null,
+      properInternalId
+    };
+    console.log(`✅ Date parsed: ${matchDate.toISOString()} (${dateInfo.localKickoff} ${dateInfo.timeZone}) with ID: ${properInternalId}`);
+  } else {
+    console.warn(`⚠️ Unable to parse date '${basicInfo.dateStr}' for ${matchId}`);
+  }
+
+  // Normalize teams
+  const normalize = s => s?.toLowerCase().replace(/[^a-z0-9]/g, '') || '';
+  const teams = {
+    home: { ...teamData.home, internalId: normalize(teamData.home.name) },
+    away: { ...teamData.away, internalId: normalize(teamData.away.name) },
+    league: teamData.league,
+    country: teamData.country
+  };
+
+  // Clean up events: numeric minute + stoppage time, side, score after goals
+  let kicks = 0;
+  const stripped = events.map(event => {
+    const { hasHomeScore, hasAwayScore, hasSoccerIcon,
+            hasGoalClass, goalTextMatch,
+            homeScore, awayScore, minute, ...clean } = event;
+
+    Object.assign(clean, { rawMinute: minute, ...parseMinute(minute) });
+
+    // Shootout kicks have no match clock; they sort after full time, in order
+    if (clean.type === 'shootoutKick') {
+      clean.kick = ++kicks;
+      clean.minute = null;
+    }
+
+    if (event.type === 'ownGoal') {
+      clean.type = 'goal';
+      clean.isOwnGoal = true;
+    }
+    if (SCORING_TYPES.includes(clean.type) && homeScore !== null && awayScore !== null) {
+      clean.scoreAfter = { home: parseInt(homeScore, 10), away: parseInt(awayScore, 10) };
+    }
+    return clean;
+  });
+
+  const cleanedEvents = withRunningScore(
+    dedupeEvents(stripped).sort(byMatchTime)
+  );
+
+  const raw   = events.length;
+  const kept  = cleanedEvents.length;
+  const goals = cleanedEvents.filter(e => SCORING_TYPES.includes(e.type)).length;
+  console.log(`   📊 Raw ${raw} → Unique ${kept} (dropped ${raw - kept}), goals: ${goals}`);
+
+  return {
+    matchId,
+    basicInfo,
+    events: kept ? cleanedEvents : null,
+    teams,
+    dateInfo  // Include date information in the output
+  };
+}
+
+// ─────────────────────────────── H2H ───────────────────────────────
+
+export function parseH2HDom(root = document) {
+  const text = el => el?.textContent.trim() || null;
+
+  return Array.from(root.querySelectorAll('.h2h__section')).map(sec => {
+    const matches = Array.from(sec.querySelectorAll('.h2h__row')).map(row => {
+      const href = row.getAttribute('href') ||
+                   row.querySelector('a[href*="/game/"], a[href*="/match/"]')?.getAttribute('href') || null;
+      const idMatch = href?.match(/\/(?:game|match)\/(?:soccer\/)?([A-Za-z0-9]{8})/);
+      const event = row.querySelector('.h2h__event');
+      const scores = row.querySelectorAll('.h2h__result span');
+
+      return {
+        matchId:     idMatch ? idMatch[1] : null,
+        dateStr:     text(row.querySelector('.h2h__date')),
+        competition: event?.getAttribute('title')?.trim() || text(event),
+        homeTeam:    text(row.querySelector('.h2h__homeParticipant .h2h__participantInner')),
+        awayTeam:    text(row.querySelector('.h2h__awayParticipant .h2h__participantInner')),
+        score: {
+          home: text(scores[0]),
+          away: scores.length > 1 ? text(scores[scores.length - 1]) : null
+        },
+        result: text(row.querySelector('.h2h__icon, [class*="wcl-badgeForm"]'))
+      };
+    });
+
+    return { title: text(sec.querySelector('.section__title')), matches };
+  });
+}
+
+// Sections come in order: home team's last matches, away team's last
+// matches, then mutual meetings
+export function buildH2HSections(rawSections) {
+  const sectionType = (title, idx) => {
+    if (/head-to-head/i.test(title || '')) return 'mutual';
+    return ['home', 'away', 'mutual'][idx] || 'other';
+  };
+
+  return rawSections.map((sec, idx) => ({
+    type:  sectionType(sec.title, idx),
+    title: sec.title,
+    matches: sec.matches.map(m => ({
+      ...m,
+      date:   parseShortDate(m.dateStr),
+      result: m.result ? m.result.charAt(0).toUpperCase() : null
+    }))
+  }));
+}
+
+// ──────────────────────────── statistics ───────────────────────────
+
+// Old (.stat__*) and new (wcl-*) layouts are both still served
+export function parseStatisticsDom(root = document) {
+  const text = el => el?.textContent.trim() || null;
+  const rowEls = root.querySelectorAll('[data-testid="wcl-statistics"], .stat__row');
+
+  return Array.from(rowEls).map(row => ({
+    name: text(row.querySelector('[data-testid="wcl-statistics-category"], .stat__categoryName')),
+    home: text(row.querySelector('[class*="wcl-homeValue"], .stat__homeValue')),
+    away: text(row.querySelector('[class*="wcl-awayValue"], .stat__awayValue'))
+  })).filter(r => r.name);
+}
+
+export function buildStatistics(rows) {
+  const stats = {};
+  for (const { name, home, away } of rows) {
+    stats[statKey(name)] = {
+      name,
+      home: parseStatValue(home),
+      away: parseStatValue(away)
+    };
+  }
+  return stats;
+}
+
+// ───────────────────────────── lineups ─────────────────────────────
+
+export function parseLineupsDom(root = document) {
+  const text = el => el?.textContent.trim() || null;
+
+  // Players are linked the same way teams are: the ID is the last href segment
+  const parsePlayer = el => {
+    const link = el.querySelector('a[href*="/player/"]');
+    const href = link?.getAttribute('href') || null;
+    const label = text(link) || text(el.querySelector('.lf__participantName, [class*="participantName"]'));
+    const number = text(el.querySelector('.lf__participantNumber, [class*="participantNumber"]'));
+    return {
+      id: href ? href.split('/').filter(Boolean).pop() : null,
+      name: label ? label.replace(/\s*\((?:C|G)\)/g, '').trim() : null,
+      number: number && /^\d+$/.test(number) ? parseInt(number, 10) : null,
+      isCaptain: /\(C\)/.test(el.textContent || ''),
+      isGoalkeeper: /\(G\)/.test(el.textContent || ''),
+      reason: text(el.querySelector('.lf__reason, [class*="participantInfo"]'))
+    };
+  };
+
+  const headerParts = Array.from(root.querySelectorAll('.lf__header .lf__headerPart'))
+    .map(text)
+    .filter(t => /^\d(-\d)+$/.test(t || ''));
+
+  const sections = Array.from(root.querySelectorAll('.lf__lineUp .section')).map(sec => ({
+    title: text(sec.querySelector('.section__title')),
+    sides: Array.from(sec.querySelectorAll('.lf__side')).map(side =>
+      Array.from(side.querySelectorAll('.lf__participantNew, .lf__participant')).map(parsePlayer)
+    )
+  }));
+
+  return {
+    formations: { home: headerParts[0] || null, away: headerParts[1] || null },
+    sections
+  };
+}
+
+export function buildLineups(raw) {
+  const sectionKey = title => {
+    if (/starting/i.test(title)) return 'starters';
+    if (/substitut/i.test(title)) return 'substitutes';
+    if (/coach/i.test(title)) return 'coaches';
+    if (/missing|injur|suspend/i.test(title)) return 'missing';
+    return null;
+  };
+
+  const lineups = {};
+  ['home', 'away'].forEach((side, sideIdx) => {
+    const formation = raw.formations[side];
+    const lineup = { formation, starters: [], substitutes: [], coaches: [], missing: [] };
+
+    for (const sec of raw.sections) {
+      const key = sectionKey(sec.title || '');
+      if (!key) continue;
+      for (const { reason, isGoalkeeper, ...player } of sec.sides[sideIdx] || []) {
+        if (key === 'coaches') lineup.coaches.push({ id: player.id, name: player.name });
+        else if (key === 'missing') lineup.missing.push({ ...player, reason });
+        else lineup[key].push({ ...player, position: isGoalkeeper ? 'GK' : null });
+      }
+    }
+
+    const positions = positionsFromFormation(formation);
+    if (positions.length === lineup.starters.length) {
+      lineup.starters.forEach((p, i) => { p.position = positions[i]; });
+    }
+
+    lineups[side] = lineup;
+  });
+
+  return lineups;
+}
+
+// ─────────────────────────────── odds ──────────────────────────────
+
+export function parseOddsDom(root = document) {
+  return Array.from(root.querySelectorAll('.ui-table__row')).map(row => {
+    const logo = row.querySelector('.prematchLogo, .oddsCell__bookmaker img');
+    const link = row.querySelector('a.prematchLink, .oddsCell__bookmaker a');
+    return {
+      bookmaker: logo?.getAttribute('title') || logo?.getAttribute('alt') ||
+                 link?.getAttribute('title') || null,
+      line: row.querySelector('.oddsCell__noOddsCell')?.textContent.trim() || null,
+      cells: Array.from(row.querySelectorAll('.oddsCell__odd')).map(cell => ({
+        value: cell.textContent.trim(),
+        title: cell.getAttribute('title')
+      }))
+    };
+  });
+}
+
+// A cell title reads "opening » closing" once the price has moved
+function parseOddsCell({ value, title }) {
+  const toNum = s => {
+    const n = parseFloat(s);
+    return isNaN(n) ? null : n;
+  };
+  const closing = toNum(value);
+  const moves = (title || '').split('»').map(t => toNum(t.trim())).filter(n => n !== null);
+  return {
+    opening: moves.length > 1 ? moves[0] : closing,
+    closing
+  };
+}
+
+export function buildOddsMarket(rows, { outcomes, hasLine }) {
+  return rows
+    .filter(r => r.bookmaker && r.cells.length >= outcomes.length)
+    .map(r => {
+      const entry = { bookmaker: r.bookmaker };
+      if (hasLine) entry.line = r.line ? parseFloat(r.line) : null;
+      outcomes.forEach((outcome, i) => { entry[outcome] = parseOddsCell(r.cells[i]); });
+      return entry;
+    });
+}
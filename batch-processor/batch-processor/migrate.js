@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * migrate.js
+ * ──────────
+ * Applies the numbered migrations in /migrations that the `migrations`
+ * collection has no record of, in order, stopping at the first failure.
+ * A re-run picks up at the migration that failed.
+ *
+ * Prerequisites on an existing database
+ *  • 001 builds unique indexes: rows stored twice for the same {matchId, team}
+ *    have to be deleted first (the error lists some).
+ *  • 003 re-parses stored kickoffs in SOURCE_TZ, the zone the pages were
+ *    scraped in; it is skipped when there are no match_details yet.
+ *
+ * Flags
+ *  --list            show every migration and when it was applied
+ *  --to <id>         stop after this migration (e.g. 002-match-date-strings)
+ *  --indexes         only (re)build the indexes from database.js INDEXES
+ *  --validators      only (re)install the $jsonSchema validators built from
+ *                    COLLECTION_SCHEMAS – run it after a schema change
+ *  --action <a>      with --validators: error (default) or warn
+ *  --dry-run         list what would run, apply nothing
+ *
+ * Examples
+ *  node migrate.js --list
+ *  SOURCE_TZ=Europe/London node migrate.js
+ *  node migrate.js --to 002-match-date-strings --dry-run
+ *  node migrate.js --validators --action warn
+ */
+
+import minimist                from 'minimist';
+import { connect,
+         disconnect,
+         ensureIndexes,
+         applySchemaValidators,
+         listMigrations,
+         runMigrations }       from '../../database.js';
+
+const argv = minimist(process.argv.slice(2), { boolean: ['list', 'indexes', 'validators', 'dry-run'] });
+
+await connect();
+
+try {
+  if (argv.list) {
+    for (const m of await listMigrations()) {
+      console.log(`${m.applied ? '✅' : '⏳'} ${m.id}${m.applied ? `  applied ${m.applied.appliedAt.toISOString()}` : ''}`);
+    }
+  } else if (argv.validators) {
+    await applySchemaValidators({ validationAction: argv.action || 'error' });
+  } else if (argv.indexes) {
+    const { failed } = await ensureIndexes();
+    if (failed.length) process.exitCode = 1;
+  } else {
+    const ids = await runMigrations({ to: argv.to ? String(argv.to) : null, dryRun: argv['dry-run'] });
+    console.log(ids.length ? ids.join('\n') : 'Nothing to migrate');
+  }
+} catch (err) {
+  console.error('❌ Migration failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await disconnect();
+}
@@ -0,0 +1,146 @@
+/**
+ * network-archive.js
+ * ------------------
+ * Record/replay of the network traffic behind a match scrape.
+ *
+ *  record – every document/XHR/fetch response a match page loads is written
+ *           to <dir>/<matchId>.ndjson (one line per response). Scripts and
+ *           stylesheets are kept too, otherwise the page cannot render offline.
+ *           Bodies are stored once under <dir>/bodies/<sha1>, so the
+ *           FlashScore bundles shared by every match are only kept once.
+ *  replay – requests are answered from the archive through the existing
+ *           request-interception hook; anything not archived is aborted, so
+ *           no request ever reaches the network.
+ */
+
+import fs     from 'fs/promises';
+import path   from 'path';
+import crypto from 'crypto';
+
+export const RECORDED_TYPES = ['document', 'xhr', 'fetch', 'script', 'stylesheet'];
+
+// Decoded bodies are stored, so transfer headers would lie on replay
+const DROP_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+const sha1 = data => crypto.createHash('sha1').update(data).digest('hex');
+
+// Fragment never reaches the server, so "#/h2h" and "#/lineups" share a document
+function requestKey(method, url, postData) {
+  const bare = url.split('#')[0];
+  return sha1(`${method} ${bare} ${postData || ''}`);
+}
+
+/**
+ * @param {{mode: 'record'|'replay', dir: string}} options
+ */
+export function createNetworkArchive({ mode, dir }) {
+  if (!['record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown network mode '${mode}' (use record or replay)`);
+  }
+
+  const bodiesDir = path.join(dir, 'bodies');
+  const indexes   = new Map();            // matchId → Map(key → entry), replay only
+  const pending   = new Set();            // in-flight record() writes
+  const stats     = { recorded: 0, replayed: 0, missed: 0 };
+
+  async function loadIndex(matchId) {
+    if (indexes.has(matchId)) return indexes.get(matchId);
+
+    const index = new Map();
+    try {
+      const raw = await fs.readFile(path.join(dir, `${matchId}.ndjson`), 'utf8');
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line);
+        index.set(entry.key, entry);      // later recordings win
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      console.warn(`⚠️ No archive for ${matchId} in ${dir}`);
+    }
+    indexes.set(matchId, index);
+    return index;
+  }
+
+  // page.on('response') handler body
+  async function record(matchId, res) {
+    const req = res.request();
+    if (!RECORDED_TYPES.includes(req.resourceType())) return;
+
+    // Redirects carry no body (the Location header is what matters);
+    // aborted loads have none either and are skipped
+    let body = Buffer.alloc(0);
+    if (res.status() < 300 || res.status() >= 400) {
+      try {
+        body = await res.buffer();
+      } catch {
+        return;
+      }
+    }
+
+    const bodyHash = sha1(body);
+    const headers = Object.fromEntries(
+      Object.entries(res.headers()).filter(([h]) => !DROP_HEADERS.includes(h.toLowerCase()))
+    );
+
+    await fs.mkdir(bodiesDir, { recursive: true });
+    await fs.writeFile(path.join(bodiesDir, bodyHash), body);
+
+    const entry = {
+      key:    requestKey(req.method(), req.url(), req.postData()),
+      method: req.method(),
+      url:    req.url(),
+      type:   req.resourceType(),
+      status: res.status(),
+      headers,
+      bodyHash,
+      recordedAt: new Date()
+    };
+    await fs.appendFile(path.join(dir, `${matchId}.ndjson`), JSON.stringify(entry) + '\n');
+    stats.recorded++;
+  }
+
+  // Request-interception handler body: answer from disk or abort
+  async function replay(matchId, req) {
+    const index = await loadIndex(matchId);
+    const entry = index.get(requestKey(req.method(), req.url(), req.postData()));
+
+    if (!entry) {
+      stats.missed++;
+      return req.abort('internetdisconnected');
+    }
+
+    const body = await fs.readFile(path.join(bodiesDir, entry.bodyHash));
+    stats.replayed++;
+    return req.respond({ status: entry.status, headers: entry.headers, body });
+  }
+
+  // Hooks a freshly opened page (record mode listens to its responses)
+  function attach(page, matchId) {
+    if (mode !== 'record') return;
+    page.on('response', res => {
+      const job = record(matchId, res)
+        .catch(err => console.warn(`⚠️ Could not record ${res.url()}: ${err.message}`))
+        .finally(() => pending.delete(job));
+      pending.add(job);
+    });
+  }
+
+  // Bodies can't be read once the page is gone, so wait before closing it
+  async function drain() {
+    while (pending.size) await Promise.all([...pending]);
+  }
+
+  // True when the archive answered the request, false when the caller
+  // should let it through
+  function handleRequest(req, matchId) {
+    if (mode !== 'replay') return false;
+    replay(matchId, req).catch(err => {
+      console.warn(`⚠️ Replay failed for ${req.url()}: ${err.message}`);
+      req.abort('failed').catch(() => {});
+    });
+    return true;
+  }
+
+  return { mode, dir, stats, attach, drain, handleRequest };
+}
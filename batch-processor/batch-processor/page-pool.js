@@ -0,0 +1,101 @@
+/**
+ * page-pool.js
+ * ------------
+ * Concurrency helpers for a single batch worker:
+ *
+ *  • createPagePool    – a bounded set of reusable pages in one browser.
+ *    Pages are recycled (closed and replaced) after `maxUses` loads, which is
+ *    what keeps RSS flat on long batches (see scrape-batch-with-mem.js).
+ *  • createRateLimiter – one global cap on page loads per second, shared by
+ *    every page in the pool.
+ */
+
+/**
+ * @param {import('puppeteer').Browser} browser
+ * @param {{size?: number, maxUses?: number}} [options]
+ */
+export function createPagePool(browser, { size = 3, maxUses = 25 } = {}) {
+  const idle    = [];
+  const waiters = [];
+  const uses    = new WeakMap();
+  const stats   = { created: 0, recycled: 0 };
+  let open = 0;
+
+  async function newPage() {
+    const page = await browser.newPage();
+    uses.set(page, 0);
+    stats.created++;
+    return page;
+  }
+
+  async function acquire() {
+    if (idle.length) return idle.pop();
+
+    if (open < size) {
+      open++;
+      try {
+        return await newPage();
+      } catch (err) {
+        open--;
+        throw err;
+      }
+    }
+
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  // Hand the page to the next waiter, recycling it first if it is worn out
+  async function release(page) {
+    const count = (uses.get(page) || 0) + 1;
+    uses.set(page, count);
+
+    let next = page;
+    try {
+      if (page.isClosed() || count >= maxUses) {
+        if (!page.isClosed()) await page.close();
+        next = await newPage();
+        stats.recycled++;
+      } else {
+        // Per-match handlers go; interception off so a bare page can idle
+        page.removeAllListeners('request');
+        page.removeAllListeners('response');
+        await page.setRequestInterception(false);
+      }
+    } catch (err) {
+      console.warn(`⚠️ Dropping pooled page: ${err.message}`);
+      open--;
+      const waiter = waiters.shift();
+      if (waiter) acquire().then(waiter.resolve, waiter.reject);
+      return;
+    }
+
+    const waiter = waiters.shift();
+    if (waiter) waiter.resolve(next);
+    else idle.push(next);
+  }
+
+  async function close() {
+    await Promise.all(idle.splice(0).map(p => p.close().catch(() => {})));
+  }
+
+  return { size, stats, acquire, release, close };
+}
+
+/**
+ * Spaces calls to acquire() so no more than `perSecond` resolve each second.
+ * @param {number} perSecond – 0 or less disables the cap
+ */
+export function createRateLimiter(perSecond) {
+  const interval = perSecond > 0 ? 1000 / perSecond : 0;
+  let nextSlot = 0;
+
+  async function acquire() {
+    if (!interval) return;
+    const now  = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await new Promise(r => setTimeout(r, slot - now));
+  }
+
+  return { perSecond, acquire };
+}
@@ -0,0 +1,122 @@
+/**
+ * page-snapshots.js
+ * -----------------
+ * Keeps the rendered HTML of the match pages the scraper parses, so
+ * reparse.js can run newer parsers over them without going back to FlashScore.
+ *
+ *  db  – gzip-compressed into the page_snapshots collection (savePageSnapshot)
+ *  dir – <dir>/<matchId>/<tab>@<epoch ms>.html.gz; CI uploads the directory
+ *        with the batch results and sync.js moves it into page_snapshots
+ *
+ * Tabs: summary, statistics/match, statistics/firstHalf, statistics/secondHalf,
+ * lineups – the pages match_details is built from – plus h2h and
+ * odds/<market> (1x2, overUnder, btts) for match_h2h / match_odds.
+ *
+ * Scripts and styles are stripped before saving (no parser reads them); the
+ * zone the page printed kickoff times in and the page URL are kept on <html>
+ * as data-snapshot-time-zone / data-snapshot-url, so every snapshot can be
+ * parsed (and its provenance stamped) on its own.
+ */
+
+import fs   from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip   = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FILE_RE = /(?:^|\/)([A-Za-z0-9]{8})\/([\w.]+)@(\d+)\.html\.gz$/;
+
+// statistics/match → <matchId>/statistics.match@1714564800000.html.gz
+export function snapshotFile(matchId, tab, scrapedAt) {
+  return `${matchId}/${tab.replace(/\//g, '.')}@${scrapedAt.getTime()}.html.gz`;
+}
+
+// Inverse of snapshotFile, for any path ending in one; null otherwise
+export function parseSnapshotFile(file) {
+  const m = file.replace(/\\/g, '/').match(FILE_RE);
+  return m ? { matchId: m[1], tab: m[2].replace(/\./g, '/'), scrapedAt: new Date(+m[3]) } : null;
+}
+
+// The zone a snapshot's kickoff times are in (see renderedHtml)
+export function snapshotTimeZone(document) {
+  return document.documentElement.getAttribute('data-snapshot-time-zone') || null;
+}
+
+// The URL the snapshot was taken from
+export function snapshotUrl(document) {
+  return document.documentElement.getAttribute('data-snapshot-url') || null;
+}
+
+// page.evaluate body – self-contained
+function renderedHtml() {
+  const root = document.documentElement.cloneNode(true);
+  root.querySelectorAll('script, style, noscript, iframe').forEach(el => el.remove());
+  root.setAttribute('data-snapshot-time-zone', Intl.DateTimeFormat().resolvedOptions().timeZone);
+  root.setAttribute('data-snapshot-url', location.href);
+  return '<!DOCTYPE html>\n' + root.outerHTML;
+}
+
+/**
+ * @param {string} target – 'db', or the directory to write snapshots to
+ */
+export function createSnapshotStore(target) {
+  const mode  = target === 'db' ? 'db' : 'dir';
+  const stats = { saved: 0, failed: 0, bytes: 0 };
+  let database = null;
+
+  // Saves the page as it is now; a failed snapshot never fails the scrape
+  async function capture(page, matchId, tab) {
+    try {
+      const html = await page.evaluate(renderedHtml);
+      const scrapedAt = new Date();
+      if (mode === 'db') {
+        database ??= await import('../../database.js');
+        stats.bytes += await database.savePageSnapshot({ matchId, tab, html, scrapedAt });
+      } else {
+        const file = path.join(target, snapshotFile(matchId, tab, scrapedAt));
+        const body = await gzip(html);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, body);
+        stats.bytes += body.length;
+      }
+      stats.saved++;
+    } catch (err) {
+      stats.failed++;
+      console.warn(`⚠️ Snapshot of ${matchId} ${tab} not saved: ${err.message}`);
+    }
+  }
+
+  return { mode, target, stats, capture };
+}
+
+/**
+ * Latest snapshot of every tab in a snapshot directory, one match at a time,
+ * in the shape latestPageSnapshots (database.js) yields:
+ * { matchId, tabs: { summary: { html, scrapedAt }, … } }
+ * @param {string} dir
+ * @param {{matchIds?: string[]}} [options]
+ */
+export async function* readSnapshotDir(dir, { matchIds } = {}) {
+  const wanted = matchIds && new Set(matchIds);
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (wanted && !wanted.has(entry.name)) continue;
+
+    const latest = new Map();       // tab → { file, scrapedAt }
+    for (const name of await fs.readdir(path.join(dir, entry.name))) {
+      const snap = parseSnapshotFile(`${entry.name}/${name}`);
+      if (snap && !(latest.get(snap.tab)?.scrapedAt > snap.scrapedAt)) latest.set(snap.tab, { name, ...snap });
+    }
+    if (!latest.size) continue;
+
+    const tabs = {};
+    for (const [tab, { name, scrapedAt }] of latest) {
+      const body = await fs.readFile(path.join(dir, entry.name, name));
+      tabs[tab] = { html: (await gunzip(body)).toString('utf8'), scrapedAt };
+    }
+    yield { matchId: entry.name, tabs };
+  }
+}
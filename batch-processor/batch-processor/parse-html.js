@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * parse-html.js
+ * ─────────────
+ * Runs the summary parser against saved match pages instead of a live
+ * browser, and writes the same {matchId, basicInfo, teams, events, dateInfo}
+ * that extractMatchSummary returns.
+ *
+ * The matchId comes from the page's canonical / og:url link when present,
+ * otherwise from the file name (e.g. YD6a3NZG.html).
+ *
+ * Usage
+ *  node parse-html.js <pages-dir> [--out parsed.json]
+ *
+ * Flags
+ *  --out <file>    where to write the results (default parsed.json)
+ *  --tz <zone>     zone the pages were rendered in (default SOURCE_TZ or this
+ *                  machine's zone)
+ *  --order <o>     MDY or DMY for slashed dates (default MDY)
+ */
+
+import minimist                from 'minimist';
+import fs                      from 'fs/promises';
+import path                    from 'path';
+import { JSDOM }               from 'jsdom';
+import { parseSummaryDom,
+         buildMatchSummary }   from './match-parsers.js';
+
+const argv    = minimist(process.argv.slice(2));
+const PAGES   = argv._[0];
+const OUT     = argv.out || 'parsed.json';
+const DATE_OPTIONS = {
+  timeZone: argv.tz || process.env.SOURCE_TZ || undefined,
+  order:    argv.order || 'MDY'
+};
+
+if (!PAGES) {
+  console.error('❌  Usage: node parse-html.js <pages-dir> [--out parsed.json]');
+  process.exit(1);
+}
+
+function matchIdFor(document, file) {
+  const link = document.querySelector('link[rel="canonical"]')?.getAttribute('href') ||
+               document.querySelector('meta[property="og:url"]')?.getAttribute('content') || '';
+  const m = link.match(/\/(?:game|match)\/(?:soccer\/)?([A-Za-z0-9]{8})/);
+  return m ? m[1] : path.basename(file).replace(/\.html?$/i, '');
+}
+
+const files = (await fs.readdir(PAGES))
+  .filter(f => /\.html?$/i.test(f))
+  .sort();
+console.log(`Found ${files.length} saved pages in ${PAGES}`);
+
+const results = [];
+let ok = 0, fail = 0;
+
+for (const file of files) {
+  try {
+    const html = await fs.readFile(path.join(PAGES, file), 'utf8');
+    const { window } = new JSDOM(html);
+    const matchId = matchIdFor(window.document, file);
+    console.log(`── ${matchId} (${file})`);
+
+    results.push(buildMatchSummary(matchId, parseSummaryDom(window.document), DATE_OPTIONS));
+    window.close();
+    ok++;
+  } catch (err) {
+    console.error(`   ⚠️  ${file}: ${err.message}`);
+    results.push({ file, error: err.message });
+    fail++;
+  }
+}
+
+await fs.writeFile(OUT, JSON.stringify(results, null, 2));
+console.log(`Saved ${OUT} (${results.length})`);
+console.log(`Done  OK:${ok}  FAIL:${fail}`);
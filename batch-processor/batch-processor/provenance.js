@@ -0,0 +1,59 @@
+/**
+ * provenance.js
+ * -------------
+ * Where a stored record came from, saved as `provenance` on match_details,
+ * match_odds and match_h2h:
+ *
+ *  { domain, scrapedAt, runId, batch, [reparsedAt],
+ *    extractors: { summary: { version, selectors, url }, statistics: {…}, … } }
+ *
+ * version is the extractor's entry in EXTRACTOR_VERSIONS (match-parsers.js).
+ * selectors fingerprints the source of its parse*Dom function, so it changes
+ * by itself whenever a selector is edited – even if nobody bumped the version.
+ * findByProvenance / provenanceSummary in database.js query them.
+ */
+
+import crypto from 'crypto';
+import { EXTRACTOR_VERSIONS,
+         parseSummaryDom, parseStatisticsDom, parseLineupsDom,
+         parseOddsDom, parseH2HDom } from './match-parsers.js';
+
+const DOM_PARSERS = {
+  summary:    parseSummaryDom,
+  statistics: parseStatisticsDom,
+  lineups:    parseLineupsDom,
+  odds:       parseOddsDom,
+  h2h:        parseH2HDom
+};
+
+const fingerprint = fn => crypto.createHash('sha1').update(fn.toString()).digest('hex').slice(0, 12);
+
+export const SELECTOR_FINGERPRINTS = Object.fromEntries(
+  Object.entries(DOM_PARSERS).map(([name, fn]) => [name, fingerprint(fn)])
+);
+
+// What the current code stamps for one extractor
+export function extractorStamp(name, url = null) {
+  if (!(name in DOM_PARSERS)) throw new Error(`Unknown extractor '${name}'`);
+  return { version: EXTRACTOR_VERSIONS[name], selectors: SELECTOR_FINGERPRINTS[name], url };
+}
+
+/**
+ * Builds a provenance block from the stamps of the extractors that produced
+ * the record; missing (failed) extractors are left out.
+ * @param {Object<string, object|null>} stamps – extractor name → extractorStamp()
+ * @param {object} [context] – scrapedAt, runId (default GITHUB_RUN_ID), batch, reparsedAt
+ */
+export function createProvenance(stamps, { scrapedAt = new Date(), runId = process.env.GITHUB_RUN_ID || null,
+                                           batch = null, ...extra } = {}) {
+  const extractors = Object.fromEntries(Object.entries(stamps).filter(([, stamp]) => stamp));
+  const url = Object.values(extractors).find(s => s.url)?.url;
+  return {
+    domain: url ? new URL(url).hostname : null,
+    scrapedAt,
+    runId,
+    batch,
+    ...extra,
+    extractors
+  };
+}
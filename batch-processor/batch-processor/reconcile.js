@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * reconcile.js
+ * ────────────
+ * Cross-checks the batch files export-batches.js wrote against the result
+ * files fetch-artifacts.js downloaded and the matches collection, to find
+ * work that got lost on the way.
+ *
+ * Every match in a batch lands in one bucket:
+ *  imported    DB status summary_complete / h2h_pending / complete
+ *  unimported  result row is fine but the DB never took it (re-run the importer)
+ *  errored     result row carries an error and the importer didn't move it on
+ *  missing     no result row at all (no artifact, or the worker died first)
+ *  other       anything else (pending, failed, duplicate – already handled)
+ *
+ * Errored and missing matches still sitting in `queued` without a queue
+ * lease are stranded: nothing will ever pick them up again.
+ *
+ * Flags
+ *  --batches <dir>   batch files (default batches)
+ *  --results <dir>   downloaded *-results / *.ndjson files (default .)
+ *  --reset           move stranded matches back to pending
+ *  --rebatch         write stranded matches to fresh batch files instead
+ *  --out <dir>       where --rebatch writes (default batches-requeue)
+ *  --limit <n>       matches per fresh batch file (default 400)
+ *  --json <file>     also write the per-batch report as JSON
+ *
+ * Examples
+ *  node reconcile.js --results ../output
+ *  node reconcile.js --results ../output --reset
+ *  node reconcile.js --results ../output --rebatch --out batches-retry
+ */
+
+import minimist              from 'minimist';
+import fs                    from 'fs/promises';
+import path                  from 'path';
+import { connect,
+         transitionMatches } from '../../database.js';
+import { parseResults }      from './results-io.js';
+
+const argv        = minimist(process.argv.slice(2), { boolean: ['reset', 'rebatch'] });
+const BATCHES_DIR = argv.batches || 'batches';
+const RESULTS_DIR = argv.results || '.';
+const OUT_DIR     = argv.out || 'batches-requeue';
+const LIMIT       = +argv.limit || 400;
+const IMPORTED    = ['summary_complete', 'h2h_pending', 'complete'];
+
+if (argv.reset && argv.rebatch) {
+  console.error('❌  Pick one of --reset or --rebatch');
+  process.exit(1);
+}
+
+const batchNo = name => name.match(/batch-(\d+)/)?.[1]?.padStart(3, '0') ?? null;
+
+/* ------------------------ load files ------------------------- */
+const batchFiles = (await fs.readdir(BATCHES_DIR)).filter(f => /^batch-\d+\.json$/.test(f)).sort();
+
+// batch-007.json-results, batch-007.ndjson, … all belong to batch 007
+const resultsByBatch = new Map();
+for (const f of await fs.readdir(RESULTS_DIR)) {
+  const no = batchNo(f);
+  if (!no || !/\.(nd)?json$|-results$/.test(f) || batchFiles.includes(f)) continue;
+  const rows = parseResults(await fs.readFile(path.join(RESULTS_DIR, f), 'utf8'), f);
+  const merged = resultsByBatch.get(no) || new Map();
+  for (const r of rows) merged.set(r.matchId, r);
+  resultsByBatch.set(no, merged);
+}
+
+console.log(`Reconciling ${batchFiles.length} batch file(s) against ${resultsByBatch.size} result file(s)`);
+
+const { db, client } = await connect();
+
+/* ------------------------- classify -------------------------- */
+const report   = [];
+const stranded = [];
+const totals   = { total: 0, imported: 0, unimported: 0, errored: 0, missing: 0, other: 0, stranded: 0 };
+
+for (const file of batchFiles) {
+  const batch   = JSON.parse(await fs.readFile(path.join(BATCHES_DIR, file), 'utf8'));
+  const results = resultsByBatch.get(batchNo(file));
+  const docs    = await db.collection('matches')
+    .find({ matchId: { $in: batch.map(r => r.matchId) } })
+    .project({ matchId: 1, processingStatus: 1, lease: 1 })
+    .toArray();
+  const byId = new Map(docs.map(d => [d.matchId, d]));
+
+  const row = { batch: file, hasResults: !!results, total: batch.length,
+                imported: 0, unimported: 0, errored: 0, missing: 0, other: 0, stranded: 0 };
+
+  for (const { matchId, scrapeId } of batch) {
+    const doc    = byId.get(matchId);
+    const result = results?.get(matchId);
+    const status = doc?.processingStatus;
+
+    let bucket;
+    if (IMPORTED.includes(status))  bucket = 'imported';
+    else if (status !== 'queued')   bucket = 'other';
+    else if (!result)               bucket = 'missing';
+    else if (result.error)          bucket = 'errored';
+    else                            bucket = 'unimported';
+    row[bucket]++;
+
+    if ((bucket === 'missing' || bucket === 'errored') && !doc.lease) {
+      row.stranded++;
+      stranded.push({ matchId, scrapeId, batch: file, bucket });
+    }
+  }
+
+  report.push(row);
+  for (const k of Object.keys(totals)) totals[k] += row[k];
+  console.log(
+    `  ${file.padEnd(16)} ${row.hasResults ? '📄' : '❔'} total ${row.total}  imported ${row.imported}  ` +
+    `unimported ${row.unimported}  errored ${row.errored}  missing ${row.missing}  ` +
+    `other ${row.other}  stranded ${row.stranded}`
+  );
+}
+
+console.log(
+  `Totals  ${totals.total} matches  imported ${totals.imported}  unimported ${totals.unimported}  ` +
+  `errored ${totals.errored}  missing ${totals.missing}  other ${totals.other}  stranded ${totals.stranded}`
+);
+if (totals.unimported) console.log('ℹ️  Unimported results: run import-artifacts.js on the results directory');
+
+if (argv.json) {
+  await fs.writeFile(argv.json, JSON.stringify({ at: new Date(), totals, batches: report, stranded }, null, 2));
+  console.log(`Report → ${argv.json}`);
+}
+
+/* -------------------------- repair --------------------------- */
+if (argv.reset && stranded.length) {
+  const { moved } = await transitionMatches(
+    { matchId: { $in: stranded.map(s => s.matchId) }, processingStatus: 'queued', lease: { $exists: false } },
+    'pending',
+    { actor: 'reconcile', reason: 'stranded in queued: no usable result' }
+  );
+  console.log(`✅ Reset ${moved} stranded match(es) to pending`);
+}
+
+if (argv.rebatch && stranded.length) {
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  stranded.sort((a, b) => a.scrapeId - b.scrapeId);
+  for (let i = 0; i * LIMIT < stranded.length; i++) {
+    const name = path.join(OUT_DIR, `batch-${String(i + 1).padStart(3, '0')}.json`);
+    const rows = stranded.slice(i * LIMIT, (i + 1) * LIMIT).map(({ matchId, scrapeId }) => ({ matchId, scrapeId }));
+    await fs.writeFile(name, JSON.stringify(rows));
+    console.log(`Wrote ${rows.length} ➜ ${name}`);
+  }
+  console.log('ℹ️  The matches stay queued; point the workflow at the new batch files');
+}
+
+await client.close();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * repair-dates.js
+ * ───────────────
+ * Re-parses the kickoff string stored on match_details (basicInfo.dateStr)
+ * in an explicit source timezone and fixes every match whose date or
+ * internalId came out shifted because it was parsed in the scraping
+ * machine's zone. Fixes go through repairMatchDates / updateMatchDates
+ * (utils.js); the match_details internalId is kept in step and in the format
+ * it is stored in (name or teamId). The tracked version of this fix is
+ * migrations/003-verify-kickoff-dates.js.
+ *
+ * Flags
+ *  --tz <zone>       zone the pages were rendered in (default SOURCE_TZ, required)
+ *  --order <o>       MDY or DMY for slashed dates (default MDY)
+ *  --limit <n>       stop after n match_details docs (default all)
+ *  --id-mode <m>     rebuild internalIds as name or teamId (default: keep each one's format)
+ *  --dry-run         report what would change, write nothing
+ *
+ * Examples
+ *  node repair-dates.js --tz Europe/London --dry-run
+ *  node repair-dates.js --tz America/New_York --limit 5000
+ */
+
+import minimist              from 'minimist';
+import { connect }           from '../../database.js';
+import { repairMatchDates }  from '../../utils.js';
+
+const argv    = minimist(process.argv.slice(2), { boolean: ['dry-run'] });
+const TZ      = argv.tz || process.env.SOURCE_TZ;
+const ORDER   = argv.order || 'MDY';
+const LIMIT   = +argv.limit || 0;
+const ID_MODE = argv['id-mode'] || 'auto';
+const DRY_RUN = argv['dry-run'];
+
+if (!TZ) {
+  console.error('❌  Set the source zone with --tz <IANA zone> or SOURCE_TZ');
+  process.exit(1);
+}
+
+const { db, client } = await connect();
+console.log(`Repairing dates as ${TZ} (${ORDER})${DRY_RUN ? ' – dry run' : ''}`);
+
+const stats = await repairMatchDates(db, { timeZone: TZ, order: ORDER, limit: LIMIT, dryRun: DRY_RUN, idMode: ID_MODE });
+
+await client.close();
+console.log(
+  `Done  checked ${stats.checked}  shifted ${stats.shifted}  fixed ${stats.fixed}  ` +
+  `unparsable ${stats.unparsable}  without match ${stats.noMatch}`
+);
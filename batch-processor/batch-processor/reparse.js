@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * reparse.js
+ * ──────────
+ * Rebuilds match_details from stored page snapshots (page-snapshots.js) with
+ * the current parsers in match-parsers.js – no browser, no FlashScore. After
+ * a parser fix, this backfills every stored match in one pass.
+ *
+ * The latest snapshot of each tab is used: summary (required), the three
+ * statistics periods and lineups. Only matches that already have
+ * match_details are rewritten, through the same validation and upsert as the
+ * importer, so a tab without a snapshot keeps its stored value. The matches
+ * collection (status, date, internalId) is left alone, and so is the details'
+ * internalId – it has to agree with matches (repair-dates.js moves both).
+ * The rewritten details get a fresh provenance block (provenance.js) with
+ * batch 'reparse', reparsedAt, and the snapshot's URL, scrape time and run;
+ * only the reparsed tabs' extractor stamps are replaced (see upsertOp).
+ *
+ * Flags
+ *  --dir <dir>          read a snapshot directory (SNAPSHOTS=<dir>) instead
+ *                       of page_snapshots
+ *  --match <id[,id…]>   only these matches
+ *  --outdated           only matches whose details carry a summary / statistics /
+ *                       lineups stamp from an older extractor, or none at all
+ *                       (details stored before provenance)
+ *  --since <YYYY-MM-DD> only snapshots taken since then (page_snapshots only)
+ *  --limit <n>          stop after n matches
+ *  --chunk <n>          details per bulk write (default 200)
+ *  --tz <zone>          zone for snapshots that don't record theirs
+ *                       (default SOURCE_TZ)
+ *  --order <o>          MDY or DMY for slashed dates (default SOURCE_DATE_ORDER or MDY)
+ *  --id-mode <m>        name or teamId internalIds (default INTERNAL_ID_MODE or name)
+ *  --dry-run            write nothing; diff against the stored details instead
+ *  --report <name>      dry-run report → <name>.json / <name>.txt (default reparse-dry-run)
+ *
+ * Examples
+ *  node reparse.js --dry-run --limit 500
+ *  node reparse.js --outdated
+ *  node reparse.js --match YD6a3NZG,hG7s2kLp
+ *  node reparse.js --dir ./artifacts/snapshots
+ */
+
+import minimist              from 'minimist';
+import fs                    from 'fs/promises';
+import { JSDOM }             from 'jsdom';
+import { connect,
+         checkDocument,
+         findByProvenance,
+         latestPageSnapshots } from '../../database.js';
+import { parseSummaryDom, buildMatchSummary,
+         parseStatisticsDom, buildStatistics,
+         parseLineupsDom, buildLineups } from './match-parsers.js';
+import { readSnapshotDir,
+         snapshotTimeZone,
+         snapshotUrl }       from './page-snapshots.js';
+import { extractorStamp,
+         createProvenance }  from './provenance.js';
+import { upsertOp }          from './importer.js';
+import { diffResult,
+         createDiffReport }  from './import-diff.js';
+
+const argv      = minimist(process.argv.slice(2), { boolean: ['dry-run', 'outdated'], string: ['match', 'since'] });
+const CHUNK     = +argv.chunk || 200;
+const LIMIT     = +argv.limit || 0;
+const DRY_RUN   = argv['dry-run'];
+const REPORT    = argv.report || 'reparse-dry-run';
+let   MATCH_IDS = argv.match ? argv.match.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+const PARSE_OPTIONS = {
+  timeZone: argv.tz || process.env.SOURCE_TZ || undefined,
+  order:    argv.order || process.env.SOURCE_DATE_ORDER || 'MDY',
+  idMode:   argv['id-mode'] || process.env.INTERNAL_ID_MODE || 'name'
+};
+const STAT_PERIODS = ['match', 'firstHalf', 'secondHalf'];
+const TABS = ['summary', ...STAT_PERIODS.map(p => `statistics/${p}`), 'lineups'];
+
+const { db, client } = await connect();
+
+if (argv.outdated) {
+  const outdated = new Set();
+  for (const extractor of ['summary', 'statistics', 'lineups']) {
+    const { version, selectors } = extractorStamp(extractor);
+    const docs = await findByProvenance('match_details', { extractor, current: { version, selectors }, missing: true },
+                                        { projection: { matchId: 1 } });
+    for (const { matchId } of docs) outdated.add(matchId);
+  }
+  MATCH_IDS = MATCH_IDS ? MATCH_IDS.filter(id => outdated.has(id)) : [...outdated];
+  console.log(`${MATCH_IDS.length} match(es) with details from older or unstamped extractors`);
+}
+
+const source = argv.dir
+  ? readSnapshotDir(argv.dir, { matchIds: MATCH_IDS })
+  : latestPageSnapshots({ matchIds: MATCH_IDS, tabs: TABS, since: argv.since && new Date(argv.since) });
+
+console.log(
+  `Reparsing snapshots from ${argv.dir || 'page_snapshots'}${DRY_RUN ? ' – dry run, nothing will be written' : ''}`
+);
+
+const stats = { matches: 0, rewritten: 0, noSummary: 0, noDetails: 0, rejected: 0, errors: 0 };
+const diffs = createDiffReport('Reparse dry run');
+const t0 = Date.now();
+let pending = [];
+
+for await (const { matchId, tabs } of source) {
+  if (LIMIT && stats.matches >= LIMIT) break;
+  stats.matches++;
+
+  try {
+    const details = detailsFromSnapshots(matchId, tabs);
+    if (details) pending.push(details);
+    else stats.noSummary++;
+  } catch (err) {
+    console.error(`   ⚠️  ${matchId}: ${err.message}`);
+    stats.errors++;
+  }
+
+  if (pending.length >= CHUNK) await flush();
+}
+await flush();
+
+const secs = (Date.now() - t0) / 1000;
+console.log(
+  `\nDone in ${secs.toFixed(1)} s (${(stats.matches / secs || 0).toFixed(1)} matches/s)  ` +
+  `matches ${stats.matches}  rewritten ${stats.rewritten}  ` +
+  `no summary ${stats.noSummary}  no stored details ${stats.noDetails}  ` +
+  `rejected ${stats.rejected}  errors ${stats.errors}`
+);
+
+if (DRY_RUN) {
+  await fs.writeFile(`${REPORT}.json`, JSON.stringify(diffs.report, null, 2));
+  await fs.writeFile(`${REPORT}.txt`, diffs.toText());
+  console.log(`\n${diffs.toText()}`);
+  console.log(`Dry-run report → ${REPORT}.json, ${REPORT}.txt`);
+}
+
+await client.close();
+
+/* ------------------------- helpers --------------------------- */
+
+// Runs fn on the snapshot's document; null when there is no snapshot
+function withDocument(tab, fn) {
+  if (!tab) return null;
+  const { window } = new JSDOM(tab.html);
+  try {
+    return fn(window.document);
+  } finally {
+    window.close();
+  }
+}
+
+// The match_details doc scrape-batch.js would have built from these pages
+function detailsFromSnapshots(matchId, tabs) {
+  const stamps = {};
+  const summary = withDocument(tabs.summary, document => {
+    stamps.summary = extractorStamp('summary', snapshotUrl(document));
+    return buildMatchSummary(
+      matchId,
+      parseSummaryDom(document),
+      { ...PARSE_OPTIONS, timeZone: snapshotTimeZone(document) || PARSE_OPTIONS.timeZone }
+    );
+  });
+  if (!summary) return null;
+
+  // Periods without a snapshot are left out; no snapshot at all keeps the stored statistics
+  let statistics = null;
+  for (const period of STAT_PERIODS) {
+    const rows = withDocument(tabs[`statistics/${period}`], document => {
+      stamps.statistics ??= extractorStamp('statistics', snapshotUrl(document));
+      return parseStatisticsDom(document);
+    });
+    if (rows) (statistics ??= {})[period] = buildStatistics(rows);
+  }
+
+  const lineups = withDocument(tabs.lineups, document => {
+    if (!document.querySelector('.lf__lineUp')) return null;
+    stamps.lineups = extractorStamp('lineups', snapshotUrl(document));
+    return buildLineups(parseLineupsDom(document));
+  });
+
+  return {
+    matchId,
+    basicInfo:  summary.basicInfo,
+    teams:      summary.teams,
+    events:     summary.events,
+    statistics,
+    lineups,
+    processingStatus: 'complete',
+    processedAt: new Date(),
+    provenance: createProvenance(stamps, {
+      scrapedAt:  tabs.summary.scrapedAt,
+      runId:      tabs.summary.runId ?? null,
+      batch:      'reparse',
+      reparsedAt: new Date()
+    }),
+    reparsedFrom: Object.fromEntries(Object.entries(tabs).map(([tab, { scrapedAt }]) => [tab, scrapedAt]))
+  };
+}
+
+// Validates and writes the pending details of matches that have some stored
+async function flush() {
+  if (!pending.length) return;
+  const chunk = pending;
+  pending = [];
+
+  const stored = new Map((await db.collection('match_details')
+    .find({ matchId: { $in: chunk.map(d => d.matchId) } })
+    .project(DRY_RUN
+      ? { matchId: 1, internalId: 1, basicInfo: 1, teams: 1, events: 1, statistics: 1, lineups: 1 }
+      : { matchId: 1 })
+    .toArray()).map(d => [d.matchId, d]));
+
+  const ops = [];
+  for (const details of chunk) {
+    const current = stored.get(details.matchId);
+    if (!current) {
+      stats.noDetails++;
+      diffs.skip(details.matchId, 'reparse', 'no match_details');
+      continue;
+    }
+
+    const check = await checkDocument('match_details', details, { source: 'reparse', quarantine: !DRY_RUN });
+    if (!check.valid) {
+      stats.rejected++;
+      if (DRY_RUN) diffs.reject(details.matchId, 'reparse', 'match_details', check.errors);
+      continue;
+    }
+
+    if (DRY_RUN) {
+      diffs.add(diffResult({ match: null, details: current }, { matchSet: {}, details: check.value }), 'reparse');
+      continue;
+    }
+    const op = upsertOp(check);
+    op.updateOne.upsert = false;
+    ops.push(op);
+  }
+
+  if (ops.length) {
+    const res = await db.collection('match_details').bulkWrite(ops, { ordered: false });
+    stats.rewritten += res.matchedCount;
+  }
+  console.log(`  Progress: ${stats.matches} matches, ${stats.rewritten} rewritten`);
+}
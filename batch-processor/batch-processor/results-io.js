@@ -0,0 +1,99 @@
+/**
+ * results-io.js
+ * -------------
+ * Reading and writing batch result files.
+ *
+ * Workers append one JSON result per line (NDJSON) as they go, so a crash
+ * loses at most the line being written. Older artifacts are a single JSON
+ * array; parseResults() accepts both.
+ */
+
+import fs from 'fs/promises';
+
+/**
+ * Parses a results file: a JSON array (legacy output.json) or NDJSON.
+ * A truncated last line – the row being written when a worker died – is
+ * dropped with a warning. When a matchId appears more than once (a retried
+ * row after a resume) the last line wins.
+ * @param {string} content
+ * @param {string} [label] – file name for log messages
+ * @returns {object[]}
+ */
+export function parseResults(content, label = 'results') {
+  const text = content.trim();
+  if (!text) return [];
+  if (text.startsWith('[')) return JSON.parse(text);
+
+  const byMatch = new Map();
+  const lines = text.split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const result = JSON.parse(line);
+      byMatch.delete(result.matchId);   // re-insert so order follows the latest line
+      byMatch.set(result.matchId, result);
+    } catch (err) {
+      console.warn(`⚠️ ${label}: skipping unreadable line ${i + 1} (${err.message})`);
+    }
+  });
+  return [...byMatch.values()];
+}
+
+/**
+ * Reads a results file, returning [] when it does not exist yet.
+ * @param {string} file
+ * @returns {Promise<object[]>}
+ */
+export async function readResultsFile(file) {
+  try {
+    return parseResults(await fs.readFile(file, 'utf8'), file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Opens an NDJSON file for appending. Writes are chained so concurrent
+ * workers never interleave partial lines.
+ * @param {string} file
+ */
+export async function createResultsWriter(file) {
+  const handle = await fs.open(file, 'a');
+  let chain = Promise.resolve();
+
+  // A worker that died mid-line leaves no trailing newline; start a fresh
+  // line so the next result isn't glued onto the broken one
+  const { size } = await handle.stat();
+  if (size > 0) {
+    const last = Buffer.alloc(1);
+    const reader = await fs.open(file, 'r');
+    await reader.read(last, 0, 1, size - 1);
+    await reader.close();
+    if (last.toString() !== '\n') chain = handle.appendFile('\n');
+  }
+
+  function append(result) {
+    chain = chain.then(() => handle.appendFile(JSON.stringify(result) + '\n'));
+    return chain;
+  }
+
+  async function close() {
+    await chain;
+    await handle.close();
+  }
+
+  return { file, append, close };
+}
+
+/**
+ * Rewrites a results file in one go (temp file + rename, so a crash
+ * mid-write leaves the old file intact).
+ * @param {string} file
+ * @param {object[]} results
+ */
+export async function writeResultsFile(file, results) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, results.map(r => JSON.stringify(r)).join('\n') + '\n');
+  await fs.rename(tmp, file);
+}
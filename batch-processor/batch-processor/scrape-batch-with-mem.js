@@ -2,7 +2,9 @@
 /**
  * scrape-batch-with-mem.js
  * ────────────────────────
- * Processes a batch of matches and logs memory + timing.
+ * Processes a batch of matches and logs memory + timing. Results go to
+ * output.json in the scrape-batch.js shape (provenance included); only a
+ * failed summary fails a match, the other tabs are left empty when they fail.
  * Usage:
  *   BATCH_FILE=batches/batch-001.json node scrape-batch-with-mem.js --sample 20
  * Flags:
@@ -12,8 +14,16 @@
 import minimist                   from 'minimist';
 import puppeteer                  from 'puppeteer';
 import fs                         from 'fs/promises';
-import { extractMatchSummary }    from './scrape-match-summary.js';
-import { createMatchDetails }     from '../../schema.js';
+import path                       from 'path';
+import { extractMatchSummary,
+         extractMatchStatistics,
+         extractMatchLineups,
+         extractMatchOdds,
+         extractMatchH2H }        from './scrape-match-summary.js';
+import { createMatchDetails,
+         createMatchH2H,
+         createMatchOdds }        from '../../schema.js';
+import { createProvenance }       from './provenance.js';
 
 const argv      = minimist(process.argv.slice(2), { default: { sample: 0 } });
 const SAMPLE    = parseInt(argv.sample, 10) || 0;
@@ -22,9 +32,64 @@ if (!BATCH_FILE) {
   console.error('❌  ERROR: Set BATCH_FILE env var to your batch JSON');
   process.exit(1);
 }
+const BATCH_NAME = path.basename(BATCH_FILE);
 
 const delay = ms => new Promise(res => setTimeout(res, ms));
 
+// Runs one optional extractor; its failure is logged, not thrown
+async function optional(label, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    console.error(`   ⚠️  ${label}: ${err.message}`);
+    return null;
+  }
+}
+
+async function scrapeMatch(browser, { matchId, scrapeId }) {
+  const scrapedAt = new Date();
+  const provenance = parts => createProvenance(parts, { scrapedAt, batch: BATCH_NAME });
+  const summary = await extractMatchSummary(browser, matchId);
+  const stats   = await optional(`${matchId} stats`, () => extractMatchStatistics(browser, matchId));
+  const lineups = await optional(`${matchId} lineups`, () => extractMatchLineups(browser, matchId));
+  const details = createMatchDetails({
+    matchId,
+    internalId: summary.dateInfo?.properInternalId,
+    basicInfo: summary.basicInfo,
+    teams: summary.teams,
+    events: summary.events,
+    statistics: stats?.statistics ?? null,
+    lineups: lineups?.lineups ?? null,
+    processingStatus: 'complete',
+    provenance: provenance({ summary: summary.stamp, statistics: stats?.stamp, lineups: lineups?.stamp })
+  });
+
+  const oddsData = await optional(`${matchId} odds`, () => extractMatchOdds(browser, matchId));
+  const odds = oddsData && createMatchOdds({
+    matchId,
+    internalId: details.internalId,
+    markets: oddsData.markets,
+    provenance: provenance({ odds: oddsData.stamp })
+  });
+
+  let h2h = null, h2hError = null;
+  try {
+    const h2hData = await extractMatchH2H(browser, matchId);
+    h2h = createMatchH2H({
+      matchId,
+      internalId: details.internalId,
+      sections: h2hData.sections,
+      processingStatus: 'complete',
+      provenance: provenance({ h2h: h2hData.stamp })
+    });
+  } catch (err) {
+    console.error(`   ⚠️  ${matchId} H2H: ${err.message}`);
+    h2hError = err.message;
+  }
+
+  return { matchId, scrapeId, details, odds, h2h, h2hError, dateInfo: summary.dateInfo };
+}
+
 function memLog(label) {
   const m = process.memoryUsage();
   console.log(
@@ -55,16 +120,7 @@ function memLog(label) {
     console.log(`── ${matchId} (scrapeId ${scrapeId})`);
 
     try {
-      const summary = await extractMatchSummary(browser, matchId);
-      const details = createMatchDetails({
-        matchId,
-        internalId: summary.dateInfo?.properInternalId,
-        basicInfo: summary.basicInfo,
-        teams: summary.teams,
-        events: summary.events || [],
-        processingStatus: 'complete'
-      });
-      results.push({ matchId, scrapeId });
+      results.push(await scrapeMatch(browser, { matchId, scrapeId }));
     } catch (err) {
       console.error(`   ⚠️  ${err.message}`);
       results.push({ matchId, scrapeId, error: err.message });
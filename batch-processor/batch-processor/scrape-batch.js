@@ -3,77 +3,390 @@
  * scrape-batch.js
  * ---------------
  *  • Reads BATCH_FILE (JSON array [{scrapeId,matchId},…]).
- *  • Scrapes summary (no H2H) with full event extraction.
- *  • Outputs result list to output.json.
+ *  • Scrapes summary with full event extraction, the statistics tab
+ *    (full match + both halves), lineups, odds, then the H2H tab.
+ *  • A failed H2H scrape keeps the summary (h2hError is recorded instead).
+ *  • details, odds and H2H carry a provenance block: extractor versions and
+ *    selector fingerprints, URL, scrape time, run ID and batch (provenance.js).
+ *  • Failures are classified (scrape-errors.js) and retried with backoff per
+ *    class; failed rows carry errorClass/permanent/attempts for the importer.
+ *  • Appends each result to OUTPUT_FILE (NDJSON, default output.ndjson) as
+ *    soon as it is scraped. Re-running with the same BATCH_FILE skips the
+ *    matchIds that already have a successful line and retries the rest.
+ *    Once the batch finishes, the file is rewritten in batch order.
  *  • Logs per-match timing and average.
+ *  • NET_MODE=record|replay (+ NET_ARCHIVE dir, default net-archive) records
+ *    every page's traffic to disk, or replays it with no network access.
+ *  • SNAPSHOTS=db|<dir> keeps the rendered HTML of the summary, statistics
+ *    and lineups tabs, gzipped, in page_snapshots or under <dir>, for
+ *    reparse.js (page-snapshots.js).
+ *  • CONCURRENCY matches run at once (default 3) on a pool of pages that are
+ *    recycled every PAGE_MAX_USES loads (default 25). MAX_RPS caps page loads
+ *    per second across the pool (default 2, 0 = no cap).
+ *  • SOURCE_TZ pins the zone pages render kickoff times in (e.g. Europe/London);
+ *    without it the page's own zone is detected. SOURCE_DATE_ORDER (MDY|DMY)
+ *    says how slashed dates read. Stored dates are always UTC.
+ *  • INTERNAL_ID_MODE=teamId builds internalIds from FlashScore team IDs
+ *    instead of normalised names (default name).
+ *  • QUEUE=1 pulls work from the database queue (claimMatches) instead of
+ *    BATCH_FILE: QUEUE_CLAIM matches at a time (default 2×CONCURRENCY) up to
+ *    QUEUE_LIMIT in total (default 400), leased for LEASE_SECONDS (default
+ *    600) and kept alive by heartbeats. Scraped matches are completed;
+ *    failed ones are released at once (permanent error classes as failed;
+ *    not claimed again by this worker), unstarted ones on exit or SIGTERM. WORKER_ID names the worker
+ *    (default host-pid); QUEUE_STATUSES picks what counts as work (pending).
  */
 
 import puppeteer                from 'puppeteer';
 import fs                       from 'fs/promises';
-import { extractMatchSummary }  from './scrape-match-summary.js';
-import { createMatchDetails }   from '../../schema.js';
+import path                     from 'path';
+import { extractMatchSummary,
+         extractMatchStatistics,
+         extractMatchLineups,
+         extractMatchOdds,
+         extractMatchH2H }      from './scrape-match-summary.js';
+import { createNetworkArchive } from './network-archive.js';
+import { createSnapshotStore }  from './page-snapshots.js';
+import { createProvenance }     from './provenance.js';
+import { createPagePool,
+         createRateLimiter }    from './page-pool.js';
+import { withRetry }            from './scrape-errors.js';
+import { readResultsFile,
+         createResultsWriter,
+         writeResultsFile }     from './results-io.js';
+import { createMatchDetails,
+         createMatchH2H,
+         createMatchOdds }      from '../../schema.js';
 
+const QUEUE      = !!process.env.QUEUE && process.env.QUEUE !== '0';
 const BATCH_FILE = process.env.BATCH_FILE;
-if (!BATCH_FILE) {
-  console.error('❌  Set BATCH_FILE env var'); process.exit(1);
+if (!BATCH_FILE && !QUEUE) {
+  console.error('❌  Set BATCH_FILE env var (or QUEUE=1)'); process.exit(1);
 }
+const OUTPUT_FILE = process.env.OUTPUT_FILE || 'output.ndjson';
+
+const NET_MODE = process.env.NET_MODE || null;
+const archive  = NET_MODE
+  ? createNetworkArchive({ mode: NET_MODE, dir: process.env.NET_ARCHIVE || 'net-archive' })
+  : null;
+if (archive) console.log(`Network ${archive.mode} → ${archive.dir}`);
+
+const snapshots = process.env.SNAPSHOTS ? createSnapshotStore(process.env.SNAPSHOTS) : null;
+if (snapshots) console.log(`Page snapshots → ${snapshots.target}`);
+
+const CONCURRENCY   = Math.max(1, +process.env.CONCURRENCY || 3);
+const PAGE_MAX_USES = +process.env.PAGE_MAX_USES || 25;
+const MAX_RPS       = process.env.MAX_RPS !== undefined ? +process.env.MAX_RPS : 2;
+// Zone the pages render kickoff times in (default: this machine's) and how
+// slashed dates read on the target domain
+const SOURCE_TZ         = process.env.SOURCE_TZ || undefined;
+const SOURCE_DATE_ORDER = process.env.SOURCE_DATE_ORDER || 'MDY';
+// 'teamId' builds internalIds from team IDs (see createTeamInternalId)
+const INTERNAL_ID_MODE  = process.env.INTERNAL_ID_MODE || 'name';
 
-const delay   = ms => new Promise(r => setTimeout(r, ms));
 const elapsed = t  => { const m=new Date()-t;return `${(m/1000).toFixed(1)} s`; };
 
-const stats = { ok:0, fail:0, total:0, t0:new Date() };
+const stats = { ok:0, fail:0, total:0, byClass:{}, t0:new Date() };
 const times = [];
 
-console.log(`Batch → ${BATCH_FILE}`);
+let batch = [];
+let queue = null;
+if (QUEUE) {
+  queue = await createQueueSource();
+  console.log(`Queue → worker ${queue.workerId}  limit ${queue.limit}  lease ${queue.leaseSeconds} s`);
+} else {
+  console.log(`Batch → ${BATCH_FILE}`);
+  const raw = await fs.readFile(BATCH_FILE,'utf8');
+  batch = JSON.parse(raw);
+  console.log(`Loaded ${batch.length} rows`);
+}
 
-const raw = await fs.readFile(BATCH_FILE,'utf8');
-const batch = JSON.parse(raw);
-console.log(`Loaded ${batch.length} rows`);
+// Recorded in every record's provenance: the batch file, or the queue worker
+const BATCH_NAME = queue ? `queue:${queue.workerId}` : path.basename(BATCH_FILE);
 
-const browser = await puppeteer.launch({
+// Resume: keep successful rows from a previous run of this batch (claims
+// are fresh work, so a queue run just appends)
+const previous = QUEUE ? [] : await readResultsFile(OUTPUT_FILE);
+const batchIds = new Set(batch.map(r => r.matchId));
+const foreign  = previous.filter(r => !batchIds.has(r.matchId));
+if (foreign.length) {
+  console.error(
+    `❌  ${OUTPUT_FILE} holds ${foreign.length} result(s) from another batch ` +
+    `(e.g. ${foreign[0].matchId}). Move it away or set OUTPUT_FILE.`
+  );
+  process.exit(1);
+}
+const done = new Map(previous.filter(r => !r.error).map(r => [r.matchId, r]));
+if (done.size) console.log(`Resuming: ${done.size} already scraped, ${batch.length - done.size} to go`);
+
+// Queue mode handles signals itself so leases are released before exit
+const launch = () => puppeteer.launch({
   headless: true,
+  handleSIGINT:  !queue,
+  handleSIGTERM: !queue,
   args: ['--no-sandbox','--disable-setuid-sandbox','--disable-dev-shm-usage']
 });
 
-const results = [];
+let browser = await launch();
 
-try {
-  for (const {matchId,scrapeId} of batch) {
+// Replays never touch the network, so there is nothing to be polite to
+const limiter = createRateLimiter(archive?.mode === 'replay' ? 0 : MAX_RPS);
+const opts    = {
+  archive,
+  snapshots,
+  timeZone:  SOURCE_TZ,
+  dateOrder: SOURCE_DATE_ORDER,
+  idMode:    INTERNAL_ID_MODE,
+  pool: createPagePool(browser, { size: CONCURRENCY, maxUses: PAGE_MAX_USES }),
+  limiter
+};
+const poolStats = { created: 0, recycled: 0 };
+
+// A crashed browser is replaced once, however many workers noticed it
+let relaunching = null;
+function relaunch() {
+  if (relaunching) return relaunching;
+  relaunching = (async () => {
+    console.warn('   💥 Browser crashed – relaunching');
+    const dead = browser;
+    poolStats.created  += opts.pool.stats.created;
+    poolStats.recycled += opts.pool.stats.recycled;
+    await dead.close().catch(() => {});
+    browser   = await launch();
+    opts.pool = createPagePool(browser, { size: CONCURRENCY, maxUses: PAGE_MAX_USES });
+  })().finally(() => { relaunching = null; });
+  return relaunching;
+}
+
+if (queue) {
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      console.warn(`${signal} – releasing leases`);
+      await queue.close(`worker got ${signal}`).catch(err => console.error(err.message));
+      await browser.close().catch(() => {});
+      process.exit(1);
+    });
+  }
+}
+
+const attempt = (label, fn) => withRetry(() => fn(browser), { label, onCrash: relaunch });
+console.log(`Concurrency ${CONCURRENCY}  rate cap ${limiter.perSecond || '∞'} loads/s  recycle every ${PAGE_MAX_USES}`);
+
+async function scrapeMatch({matchId,scrapeId}) {
+  const scrapedAt = new Date();
+  const summary = await attempt(`${matchId} summary`, b => extractMatchSummary(b, matchId, opts));
+  const stamps = { summary: summary.stamp };
+  const provenance = parts => createProvenance(parts, { scrapedAt, batch: BATCH_NAME });
+
+  let statistics = null;
+  try {
+    ({ statistics, stamp: stamps.statistics } = await attempt(`${matchId} statistics`, b => extractMatchStatistics(b, matchId, opts)));
+  } catch (err) {
+    console.error(`   ⚠️  ${matchId} stats: ${err.message}`);
+  }
+
+  let lineups = null;
+  try {
+    ({ lineups, stamp: stamps.lineups } = await attempt(`${matchId} lineups`, b => extractMatchLineups(b, matchId, opts)));
+  } catch (err) {
+    console.error(`   ⚠️  ${matchId} lineups: ${err.message}`);
+  }
+
+  const details = createMatchDetails({
+    matchId,
+    internalId: summary.dateInfo?.properInternalId,
+    basicInfo:  summary.basicInfo,
+    teams:      summary.teams,
+    events:     summary.events,       // null when none parsed – keeps the stored ones
+    statistics,
+    lineups,
+    processingStatus: 'complete',
+    provenance: provenance(stamps)
+  });
+
+  let odds = null;
+  try {
+    const oddsData = await attempt(`${matchId} odds`, b => extractMatchOdds(b, matchId, opts));
+    odds = createMatchOdds({
+      matchId,
+      internalId: details.internalId,
+      markets:    oddsData.markets,
+      provenance: provenance({ odds: oddsData.stamp })
+    });
+  } catch (err) {
+    console.error(`   ⚠️  ${matchId} odds: ${err.message}`);
+  }
+
+  let h2h = null, h2hError = null;
+  try {
+    const h2hData = await attempt(`${matchId} h2h`, b => extractMatchH2H(b, matchId, opts));
+    h2h = createMatchH2H({
+      matchId,
+      internalId: details.internalId,
+      sections:   h2hData.sections,
+      processingStatus: 'complete',
+      provenance: provenance({ h2h: h2hData.stamp })
+    });
+  } catch (err) {
+    console.error(`   ⚠️  ${matchId} H2H: ${err.message}`);
+    h2hError = err.message;
+  }
+
+  return {matchId,scrapeId,details,odds,h2h,h2hError,dateInfo:summary.dateInfo};
+}
+
+// Slots are filled by index so the final rewrite follows the batch file
+const results = batch.map(r => done.get(r.matchId));
+const todo    = batch.map((r, idx) => idx).filter(idx => !results[idx]);
+const writer  = await createResultsWriter(OUTPUT_FILE);
+let cursor = 0;
+
+// Next batch index to scrape; in queue mode claims more once the local list runs dry
+async function nextIndex() {
+  while (cursor >= todo.length && queue && !queue.drained) {
+    for (const row of await queue.claim()) {
+      batch.push(row);
+      results.push(undefined);
+      todo.push(batch.length - 1);
+    }
+  }
+  return cursor < todo.length ? todo[cursor++] : null;
+}
+
+async function worker() {
+  for (let idx = await nextIndex(); idx !== null; idx = await nextIndex()) {
+    const {matchId,scrapeId} = batch[idx];
     const t0 = Date.now();
-    console.log(`── ${matchId} (scrapeId ${scrapeId})`);
+    console.log(`── ${matchId} (scrapeId ${scrapeId})  [${idx+1}/${queue ? '?' : batch.length}]`);
 
     try {
-      const summary = await extractMatchSummary(browser, matchId);
-
-      const details = createMatchDetails({
-        matchId,
-        internalId: summary.dateInfo?.properInternalId,
-        basicInfo:  summary.basicInfo,
-        teams:      summary.teams,
-        events:     summary.events || [],
-        processingStatus: 'complete'
-      });
-
-      results.push({matchId,scrapeId,details,dateInfo:summary.dateInfo});
+      results[idx] = await scrapeMatch(batch[idx]);
       stats.ok++;
     } catch (err) {
-      console.error(`   ⚠️  ${err.message}`);
+      console.error(`   ⚠️  ${matchId}: [${err.errorClass}] ${err.message}`);
       stats.fail++;
-      results.push({matchId,scrapeId,error:err.message});
+      stats.byClass[err.errorClass] = (stats.byClass[err.errorClass] || 0) + 1;
+      results[idx] = {
+        matchId, scrapeId,
+        error:      err.message,
+        errorClass: err.errorClass,
+        permanent:  err.permanent,
+        attempts:   err.attempts
+      };
+    }
+
+    if (queue) results[idx].workerId = queue.workerId;    // lets the importer check the lease
+    await writer.append(results[idx]);
+    if (queue) {
+      if (results[idx].error) await queue.release(matchId, results[idx]);
+      else await queue.complete(matchId);
     }
 
     const ms = Date.now()-t0;
     times.push(ms);
-    console.log(`   ⏱️  ${ms} ms`);
+    console.log(`   ⏱️  ${matchId} ${ms} ms`);
     stats.total++;
-    await delay(1000+Math.random()*500);
   }
+}
+
+try {
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
 } finally {
+  await writer.close();
+  await opts.pool.close();
   await browser.close();
+  if (queue) await queue.close();
 }
 
-await fs.writeFile('output.json', JSON.stringify(results,null,2));
-const avg = Math.round(times.reduce((a,b)=>a+b)/times.length);
-console.log(`Saved output.json (${results.length})`);
+// Queue results are already complete on disk; only batch files get reordered
+if (!queue) await writeResultsFile(OUTPUT_FILE, results);
+const avg = times.length ? Math.round(times.reduce((a,b)=>a+b)/times.length) : 0;
+console.log(`Saved ${OUTPUT_FILE} (${results.length})`);
 console.log(`Average: ${avg} ms (${(avg/1000).toFixed(2)} s)`);
 console.log(`Done in ${elapsed(stats.t0)}  OK:${stats.ok}  FAIL:${stats.fail}`);
+if (stats.fail) {
+  console.log(`Failures: ${Object.entries(stats.byClass).map(([c,n])=>`${c} ${n}`).join('  ')}`);
+}
+const wallS = (new Date()-stats.t0)/1000;
+const busyS = times.reduce((a,b)=>a+b,0)/1000;
+console.log(
+  `Throughput: ${(stats.total/wallS*60).toFixed(1)} matches/min  ` +
+  `effective concurrency ${(busyS/wallS).toFixed(2)}  ` +
+  `pages created ${poolStats.created+opts.pool.stats.created} ` +
+  `(recycled ${poolStats.recycled+opts.pool.stats.recycled})`
+);
+if (archive) {
+  const { recorded, replayed, missed } = archive.stats;
+  console.log(`Network ${archive.mode}: recorded ${recorded}  replayed ${replayed}  missed ${missed}`);
+}
+if (snapshots) {
+  const { saved, failed, bytes } = snapshots.stats;
+  console.log(`Page snapshots: saved ${saved} (${(bytes / 1048576).toFixed(1)} MB gzipped)  failed ${failed}`);
+}
+
+// Work source backed by the database queue (see claimMatches in database.js)
+async function createQueueSource() {
+  const db = await import('../../database.js');
+  const os = await import('os');
+
+  const workerId     = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+  const limit        = +process.env.QUEUE_LIMIT || 400;
+  const claimSize    = +process.env.QUEUE_CLAIM || CONCURRENCY * 2;
+  const leaseSeconds = +process.env.LEASE_SECONDS || 600;
+  const statuses     = (process.env.QUEUE_STATUSES || 'pending').split(',').map(s => s.trim());
+  const held         = new Set();        // claimed, not yet completed
+  const failed       = new Set();        // released after a failed scrape; not claimed again this run
+  let claimedTotal   = 0;
+  let claiming       = null;
+
+  const source = { workerId, limit, leaseSeconds, drained: false, claim, complete, release, close };
+
+  // One claim at a time, however many workers ran dry together; the others
+  // get [] and look at the shared todo list again
+  function claim() {
+    if (claiming) return claiming.then(() => []);
+    const n = Math.min(claimSize, limit - claimedTotal);
+    const filter = failed.size ? { matchId: { $nin: [...failed] } } : {};
+    claiming = db.claimMatches(workerId, n, leaseSeconds, { statuses, filter, runId: process.env.GITHUB_RUN_ID })
+      .then(rows => {
+        claimedTotal += rows.length;
+        if (rows.length < n || claimedTotal >= limit) source.drained = true;
+        rows.forEach(r => held.add(r.matchId));
+        return rows.map(({ matchId, scrapeId }) => ({ matchId, scrapeId }));
+      })
+      .finally(() => { claiming = null; });
+    return claiming;
+  }
+
+  async function complete(matchId) {
+    held.delete(matchId);
+    await db.completeMatches(workerId, [matchId]);
+  }
+
+  // A failed match goes straight back to pending – or to failed for a
+  // permanent error class, so no other worker picks it up again; importing
+  // its result records lastError and the attempt
+  async function release(matchId, { errorClass, permanent }) {
+    held.delete(matchId);
+    failed.add(matchId);
+    await db.releaseMatches(workerId, [matchId], `scrape failed: ${errorClass}`, permanent ? 'failed' : 'pending');
+  }
+
+  const beat = setInterval(() => {
+    db.heartbeatMatches(workerId, [...held], leaseSeconds)
+      .then(lost => lost.forEach(id => held.delete(id)))
+      .catch(err => console.warn(`   ⚠️  heartbeat: ${err.message}`));
+  }, leaseSeconds * 1000 / 3);
+
+  async function close(reason = 'worker finished') {
+    clearInterval(beat);
+    if (held.size) {
+      const released = await db.releaseMatches(workerId, [...held], reason);
+      console.log(`Released ${released} unscraped match(es)`);
+      held.clear();
+    }
+    await db.disconnect();
+  }
+
+  return source;
+}
@@ -0,0 +1,91 @@
+/**
+ * scrape-errors.js
+ * ----------------
+ * Failure taxonomy for match scraping and the retry policy for each class.
+ *
+ *  navigation_timeout – page.goto / waitForSelector ran out of time
+ *  not_found          – FlashScore has no such match (HTTP 404/410, or the
+ *                       match URL redirects elsewhere)
+ *  layout_changed     – the page loaded but the selectors we rely on are gone
+ *  browser_crash      – the page or the whole browser died under us
+ *  rate_limited       – HTTP 429 from FlashScore
+ *  unknown            – anything else
+ *
+ * `permanent` classes are not worth another run: the importer marks those
+ * matches failed. Everything else only bumps processingAttempts.
+ */
+
+export const RETRY_POLICIES = {
+  navigation_timeout: { retries: 3, baseMs: 2000,  permanent: false },
+  not_found:          { retries: 0, baseMs: 0,     permanent: true  },
+  layout_changed:     { retries: 1, baseMs: 1000,  permanent: false },
+  browser_crash:      { retries: 2, baseMs: 1000,  permanent: false, relaunch: true },
+  rate_limited:       { retries: 4, baseMs: 15000, permanent: false },
+  unknown:            { retries: 1, baseMs: 2000,  permanent: false }
+};
+
+export const ERROR_CLASSES = Object.keys(RETRY_POLICIES);
+
+export class ScrapeError extends Error {
+  constructor(errorClass, message) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.errorClass = errorClass;
+  }
+}
+
+/**
+ * Maps any error thrown while scraping onto one of ERROR_CLASSES.
+ * @param {Error} err
+ * @returns {string}
+ */
+export function classifyError(err) {
+  if (err?.errorClass && RETRY_POLICIES[err.errorClass]) return err.errorClass;
+
+  const msg = err?.message || '';
+  if (err?.name === 'TimeoutError' || /timeout .*exceeded|Navigation timeout/i.test(msg)) {
+    return 'navigation_timeout';
+  }
+  if (/Target closed|Session closed|Page crashed|browser has disconnected|Connection closed|Protocol error/i.test(msg)) {
+    return 'browser_crash';
+  }
+  if (/\b429\b|Too Many Requests/i.test(msg)) return 'rate_limited';
+  // not_found is permanent, so it only comes from a ScrapeError (HTTP status
+  // or redirect) – "not found" text is also how Puppeteer reports a missing node
+  return 'unknown';
+}
+
+// base · 2^attempt, ±25 % jitter so pooled workers don't retry in lockstep
+export function backoffMs(policy, attempt) {
+  const ms = policy.baseMs * 2 ** attempt;
+  return Math.round(ms * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * Runs fn, retrying according to the policy of whatever it throws.
+ * The final error carries errorClass, permanent and attempts.
+ * @param {() => Promise<any>} fn
+ * @param {{label?: string, onCrash?: () => Promise<void>}} [options]
+ */
+export async function withRetry(fn, { label = '', onCrash } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const errorClass = classifyError(err);
+      const policy = RETRY_POLICIES[errorClass];
+
+      if (attempt >= policy.retries) {
+        err.errorClass = errorClass;
+        err.permanent  = policy.permanent;
+        err.attempts   = attempt + 1;
+        throw err;
+      }
+
+      const wait = backoffMs(policy, attempt);
+      console.warn(`   🔁 ${label} ${errorClass} (${err.message}) – retry ${attempt + 1}/${policy.retries} in ${wait} ms`);
+      if (policy.relaunch && onCrash) await onCrash();
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+}
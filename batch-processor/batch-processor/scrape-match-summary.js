@@ -3,10 +3,21 @@
 /**
  * scrape-match-summary.js
  * -----------------
- * Modified version that processes matches without H2H data
+ * Summary, statistics, lineups, odds and H2H extractors for a single match.
+ * Navigation lives here; DOM parsing lives in match-parsers.js.
+ * Every extractor takes (browser, matchId, opts) – see openMatchPage for opts –
+ * and returns a `stamp` (extractor version, selectors, URL) for provenance.js.
  */
 
-import { parseDate, createInternalId } from '../../utils.js';
+import {
+  parseSummaryDom, buildMatchSummary,
+  parseH2HDom, buildH2HSections,
+  parseStatisticsDom, buildStatistics,
+  parseLineupsDom, buildLineups,
+  parseOddsDom, buildOddsMarket
+} from './match-parsers.js';
+import { ScrapeError } from './scrape-errors.js';
+import { extractorStamp } from './provenance.js';
 import { createMatchDetails } from '../../schema.js';
 import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
@@ -16,170 +27,310 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Function to dedupe events (copied from your utils.js)
-function dedupeEvents(events) {
-  // Implement deduplication logic here or import from utils
-  // This is a placeholder - use your actual implementation
-  return events.filter((event, index, self) =>
-    index === self.findIndex(e =>
-      e.minute === event.minute &&
-      e.type === event.type &&
-      e.player === event.player
-    )
-  );
+// Options each page was opened with, so closing can drain/return it
+const pageOptions = new WeakMap();
+// Pages (pooled ones live across matches) that got past the cookie popup –
+// consent sticks for the browser, so it is not looked for on them again
+const cookiesHandled = new WeakSet();
+
+const withoutHash = url => url.split('#')[0];
+
+// Navigate under the global rate cap, if one is set.
+// Hash-only moves between tabs load nothing, so they skip the cap and
+// resolve to null – only real loads are checked.
+async function gotoPage(page, url, limiter) {
+  const sameDocument = withoutHash(page.url()) === withoutHash(url);
+  if (!sameDocument) await limiter?.acquire();
+  const res = await page.goto(url, {
+    waitUntil: 'domcontentloaded',
+    timeout: 20000
+  });
+
+  const status = res?.status();
+  if (status === 404 || status === 410) throw new ScrapeError('not_found', `HTTP ${status} for ${url}`);
+  if (status === 429) throw new ScrapeError('rate_limited', `HTTP 429 for ${url}`);
+}
+
+// Tags the rows on screen before a tab switch; returns their text
+function markRows(page, selector) {
+  return page.$$eval(selector, els => {
+    els.forEach(el => el.setAttribute('data-scraper-stale', ''));
+    return els.map(el => el.textContent).join('\n');
+  });
+}
+
+// Waits for the rows of the tab just switched to. A hash move keeps the old
+// rows on screen until the new tab renders (sometimes in place), so rows
+// count once none is tagged by markRows or their text has changed.
+async function waitForFreshRows(page, selector, before, timeout) {
+  await page.waitForFunction((selector, before) => {
+    const rows = Array.from(document.querySelectorAll(selector));
+    return rows.length > 0 && (
+      !rows.some(el => el.hasAttribute('data-scraper-stale')) ||
+      rows.map(el => el.textContent).join('\n') !== before
+    );
+  }, { timeout }, selector, before);
+  await page.$$eval(selector, els => els.forEach(el => el.removeAttribute('data-scraper-stale')));
+}
+
+// Open a match page with heavy resources blocked and the cookie popup dismissed.
+//  opts.archive – records or replays the page's traffic (network-archive.js)
+//  opts.pool    – borrow the page from a page pool instead of opening one
+//  opts.limiter – global page-load rate cap (page-pool.js)
+//  opts.timeZone – render the page in this IANA zone instead of the machine's
+//  opts.snapshots – keep the rendered HTML of parsed tabs (page-snapshots.js)
+async function openMatchPage(browser, url, { matchId, archive, pool, limiter, timeZone } = {}) {
+  const page = pool ? await pool.acquire() : await browser.newPage();
+  pageOptions.set(page, { archive, pool });
+
+  try {
+    if (archive) archive.attach(page, matchId);
+    if (timeZone) await page.emulateTimezone(timeZone);
+
+    // Optimize page loading - block unnecessary resources
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      const resourceType = req.resourceType();
+      // Keep CSS for better compatibility with clicks and element detection
+      if (['image', 'font', 'media'].includes(resourceType)) {
+        req.abort();
+      } else if (!archive?.handleRequest(req, matchId)) {
+        req.continue();
+      }
+    });
+
+    await gotoPage(page, url, limiter);
+  } catch (err) {
+    await closeMatchPage(page);
+    throw err;
+  }
+
+  // Dismiss cookie popup (once per page)
+  if (!cookiesHandled.has(page)) {
+    try {
+      await page.waitForSelector('#onetrust-accept-btn-handler', { timeout: 5000 });
+      await page.click('#onetrust-accept-btn-handler');
+      console.log('✅ Cookie popup accepted');
+      await delay(500);
+    } catch {
+      console.log('⚠️ No cookie popup found or already dismissed');
+    }
+    cookiesHandled.add(page);
+  }
+
+  return page;
+}
+
+async function closeMatchPage(page) {
+  const { archive, pool } = pageOptions.get(page) || {};
+  await archive?.drain();
+  if (pool) await pool.release(page);
+  else await page.close();
+}
+
+// Run fn(page) on an opened match page; the page is always closed/returned,
+// so a failing extractor can't starve the pool
+async function withMatchPage(browser, url, opts, fn) {
+  const page = await openMatchPage(browser, url, opts);
+  try {
+    return await fn(page);
+  } finally {
+    await closeMatchPage(page);
+  }
 }
 
 // Summary extraction
-async function extractMatchSummary(browser, matchId) {
+async function extractMatchSummary(browser, matchId, opts = {}) {
   const url = `https://www.flashscoreusa.com/game/soccer/${matchId}/#/game-summary/game-summary`;
   console.log(`🔍 Summary URL: ${url}`);
 
-  const page = await browser.newPage();
-
-  // Optimize page loading - block unnecessary resources
-  await page.setRequestInterception(true);
-  page.on('request', (req) => {
-    const resourceType = req.resourceType();
-    // Keep CSS for better compatibility with clicks and element detection
-    if (['image', 'font', 'media'].includes(resourceType)) {
-      req.abort();
-    } else {
-      req.continue();
+  const raw = await withMatchPage(browser, url, { matchId, ...opts }, async page => {
+    try {
+      await page.waitForSelector('.duelParticipant', { timeout: 10000 });
+    } catch {
+      // A 404 is thrown by gotoPage; an unknown match ID that comes back 200
+      // is redirected off its /game/ URL. Anything else may be transient.
+      if (!page.url().includes(`/game/soccer/${matchId}/`)) {
+        throw new ScrapeError('not_found', `Match page redirected to ${page.url()}`);
+      }
+      throw new ScrapeError('layout_changed', 'Selector .duelParticipant missing');
     }
+
+    await opts.snapshots?.capture(page, matchId, 'summary');
+
+    // FlashScore prints kickoff in the browser's zone – ask the page which one
+    const timeZone = await page.evaluate(() => Intl.DateTimeFormat().resolvedOptions().timeZone);
+    return { ...(await page.evaluate(parseSummaryDom)), timeZone };
   });
 
-  await page.goto(url, {
-    waitUntil: 'domcontentloaded',
-    timeout: 20000
+  const summary = buildMatchSummary(matchId, raw, {
+    timeZone: raw.timeZone,
+    order:    opts.dateOrder,
+    idMode:   opts.idMode
   });
+  return { ...summary, stamp: extractorStamp('summary', url) };
+}
 
-  // Dismiss cookie popup
-  try {
-    await page.waitForSelector('#onetrust-accept-btn-handler', { timeout: 5000 });
-    await page.click('#onetrust-accept-btn-handler');
-    console.log('✅ Cookie popup accepted');
-    await delay(500);
-  } catch {
-    console.log('⚠️ No cookie popup found or already dismissed');
-  }
+// H2H extraction
+async function extractMatchH2H(browser, matchId, opts = {}) {
+  const url = `https://www.flashscoreusa.com/game/soccer/${matchId}/#/h2h/overall`;
+  console.log(`🔍 H2H URL: ${url}`);
 
-  // Basic info
-  const basicInfo = await page.evaluate(() => ({
-    homeTeam: document.querySelector('.duelParticipant__home .participant__participantName')?.textContent.trim() || null,
-    awayTeam: document.querySelector('.duelParticipant__away .participant__participantName')?.textContent.trim() || null,
-    score: {
-      home: document.querySelector('.detailScore__wrapper span:first-child')?.textContent.trim() || null,
-      away: document.querySelector('.detailScore__wrapper span:last-child')?.textContent.trim() || null
-    },
-    dateStr: document.querySelector('.duelParticipant__startTime')?.textContent.trim() || null,
-    competition: (
-      Array.from(document.querySelectorAll('.detail__breadcrumbs a[itemprop="item"] span[data-testid="wcl-scores-overline-03"]')).pop()?.textContent.trim() || null
-    )
-  }));
-
-  // Team & league data
-  const teamData = await page.evaluate(() => {
-    const getTeamData = sel => {
-      const name = document.querySelector(`${sel} .participant__participantName`)?.textContent.trim() || null;
-      const href = document.querySelector(`${sel} a.participant__participantLink`)?.href || null;
-      const id = href ? href.split('/').filter(Boolean).pop() : null;
-      return { name, id };
-    };
-    const home = getTeamData('.duelParticipant__home');
-    const away = getTeamData('.duelParticipant__away');
-    const spans = Array.from(document.querySelectorAll('.detail__breadcrumbs a[itemprop="item"] span'));
-    let league = spans.pop()?.textContent.trim() || '';
-    league = league.replace(/ - Round\s*\d+$/i, '');
-    return { home, away, league };
+  const rawSections = await withMatchPage(browser, url, { matchId, ...opts }, async page => {
+    try {
+      await page.waitForSelector('.h2h__section', { timeout: 10000 });
+      await opts.snapshots?.capture(page, matchId, 'h2h');
+    } catch {
+      console.warn(`⚠️ No H2H sections rendered for ${matchId}`);
+    }
+
+    return page.evaluate(parseH2HDom);
   });
 
-  // Parse date and create internalId
-  // Instead of updating DB, we'll include this in the output
-  const matchDate = parseDate(basicInfo.dateStr);
-  let dateInfo = null;
-
-  if (matchDate) {
-    const properInternalId = createInternalId(teamData.home.name, teamData.away.name, matchDate);
-    dateInfo = {
-      parsedDate: matchDate,
-      properInternalId
-    };
-    console.log(`✅ Date parsed: ${matchDate} with ID: ${properInternalId}`);
-  } else {
-    console.warn(`⚠️ Unable to parse date '${basicInfo.dateStr}' for ${matchId}`);
-  }
+  const sections = buildH2HSections(rawSections);
 
-  // Normalize teams
-  const normalize = s => s?.toLowerCase().replace(/[^a-z0-9]/g, '') || '';
-  const teams = {
-    home: { ...teamData.home, internalId: normalize(teamData.home.name) },
-    away: { ...teamData.away, internalId: normalize(teamData.away.name) },
-    league: teamData.league
+  const rows = sections.reduce((n, s) => n + s.matches.length, 0);
+  console.log(`   📊 H2H sections: ${sections.length}, rows: ${rows}`);
+
+  return {
+    matchId,
+    sections,
+    stamp: extractorStamp('h2h', url)
   };
+}
 
-  // Events with improved goal detection
-// Event extraction
-const events = await page.evaluate(() => {
-  const list = [];
-  const incs = document.querySelectorAll(
-    '.smv__incident, .detailScore__incident, .event__incident'
-  );
-  incs.forEach(inc => {
-    const minute = inc.querySelector(
-      '.smv__timeBox, .time, .incident__time'
-    )?.textContent.trim() || null;
+// Statistics extraction
+// Period tabs live under .../match-statistics/<n>: 0 = full match, 1/2 = halves
+const STAT_PERIODS = { match: 0, firstHalf: 1, secondHalf: 2 };
+const STAT_ROWS = '[data-testid="wcl-statistics"], .stat__row';
 
-    const t = inc.textContent || '';
-    const own = /Own goal/i.test(t);
-    const goal = own || /Goal|Gooal/i.test(t) ||
-                 inc.querySelector('.smv__incidentHomeScore, .smv__incidentAwayScore');
+async function extractMatchStatistics(browser, matchId, opts = {}) {
+  const base = `https://www.flashscoreusa.com/game/soccer/${matchId}/#/game-summary/match-statistics`;
+  console.log(`🔍 Statistics URL: ${base}/0`);
 
-    let type = 'other';
-    if (goal)          type = own ? 'ownGoal' : 'goal';
-    else if (inc.querySelector('.yellowCard-ico')) type = 'yellowCard';
-    else if (inc.querySelector('.redCard-ico'))    type = 'redCard';
-    else if (/substitution/i.test(t))              type = 'substitution';
+  const statistics = {};
 
-    const player = inc.querySelector(
-      'a.smv__playerName, .participant__participantName'
-    )?.textContent.trim() || null;
+  await withMatchPage(browser, `${base}/0`, { matchId, ...opts }, async page => {
+    for (const [period, idx] of Object.entries(STAT_PERIODS)) {
+      let before = null;
+      if (idx > 0) {
+        before = await markRows(page, STAT_ROWS);
+        await gotoPage(page, `${base}/${idx}`, opts.limiter);
+      }
 
-    const assist = inc.querySelector('.smv__assist a')?.textContent.trim() || null;
+      try {
+        if (idx > 0) await waitForFreshRows(page, STAT_ROWS, before, 8000);
+        else await page.waitForSelector(STAT_ROWS, { timeout: 8000 });
+      } catch {
+        console.warn(`⚠️ No statistics rendered for ${matchId} (${period})`);
+        statistics[period] = {};
+        continue;
+      }
 
-    list.push({ minute, type, player, assist });
+      await opts.snapshots?.capture(page, matchId, `statistics/${period}`);
+      const rows = await page.evaluate(parseStatisticsDom);
+      statistics[period] = buildStatistics(rows);
+    }
   });
-  return list;
-});
 
-  // Clean up events
-  const stripped = events.map(event => {
-    const { hasHomeScore, hasAwayScore, hasSoccerIcon,
-            hasGoalClass, goalTextMatch, ...clean } = event;
+  const counts = Object.entries(statistics)
+    .map(([period, stats]) => `${period} ${Object.keys(stats).length}`)
+    .join(', ');
+  console.log(`   📊 Stats rows: ${counts}`);
+
+  return {
+    matchId,
+    statistics,
+    stamp: extractorStamp('statistics', `${base}/0`)
+  };
+}
+
+// Lineups extraction
+async function extractMatchLineups(browser, matchId, opts = {}) {
+  const url = `https://www.flashscoreusa.com/game/soccer/${matchId}/#/game-summary/lineups`;
+  console.log(`🔍 Lineups URL: ${url}`);
 
-    if (event.type === 'ownGoal') {
-      clean.type = 'goal';
-      clean.isOwnGoal = true;
+  const raw = await withMatchPage(browser, url, { matchId, ...opts }, async page => {
+    try {
+      await page.waitForSelector('.lf__lineUp', { timeout: 10000 });
+    } catch {
+      console.warn(`⚠️ No lineups rendered for ${matchId}`);
+      return null;
     }
-    return clean;
+
+    await opts.snapshots?.capture(page, matchId, 'lineups');
+    return page.evaluate(parseLineupsDom);
   });
 
-  const cleanedEvents = dedupeEvents(stripped);
+  if (!raw) return { matchId, lineups: null, stamp: extractorStamp('lineups', url) };
+
+  const lineups = buildLineups(raw);
+
+  console.log(
+    `   📊 Lineups: ${lineups.home.formation || '?'} vs ${lineups.away.formation || '?'}, ` +
+    `starters ${lineups.home.starters.length}/${lineups.away.starters.length}`
+  );
+
+  return {
+    matchId,
+    lineups,
+    stamp: extractorStamp('lineups', url)
+  };
+}
+
+// Odds extraction
+// Market tab slug + the outcome columns each row carries (after the bookmaker)
+const ODDS_MARKETS = {
+  '1x2':     { slug: '1x2-odds',            outcomes: ['home', 'draw', 'away'] },
+  overUnder: { slug: 'over-under',          outcomes: ['over', 'under'], hasLine: true },
+  btts:      { slug: 'both-teams-to-score', outcomes: ['yes', 'no'] }
+};
+const ODDS_ROWS = '.ui-table__row';
+
+async function extractMatchOdds(browser, matchId, opts = {}) {
+  const base = `https://www.flashscoreusa.com/game/soccer/${matchId}/#/odds-comparison`;
+  console.log(`🔍 Odds URL: ${base}/1x2-odds/full-time`);
+
+  const markets = {};
 
-  const raw   = events.length;
-  const kept  = cleanedEvents.length;
-  const goals = cleanedEvents.filter(e => e.type === 'goal').length;
-  console.log(`   📊 Raw ${raw} → Unique ${kept} (dropped ${raw - kept}), goals: ${goals}`);
+  await withMatchPage(browser, `${base}/1x2-odds/full-time`, { matchId, ...opts }, async page => {
+    for (const [market, { slug, outcomes, hasLine }] of Object.entries(ODDS_MARKETS)) {
+      let before = null;
+      if (slug !== '1x2-odds') {
+        before = await markRows(page, ODDS_ROWS);
+        await gotoPage(page, `${base}/${slug}/full-time`, opts.limiter);
+      }
+
+      try {
+        if (before !== null) await waitForFreshRows(page, ODDS_ROWS, before, 8000);
+        else await page.waitForSelector(ODDS_ROWS, { timeout: 8000 });
+      } catch {
+        console.warn(`⚠️ No ${market} odds rendered for ${matchId}`);
+        markets[market] = [];
+        continue;
+      }
+
+      await opts.snapshots?.capture(page, matchId, `odds/${market}`);
+      const rows = await page.evaluate(parseOddsDom);
+      markets[market] = buildOddsMarket(rows, { outcomes, hasLine });
+    }
+  });
 
-  await page.close();
+  const counts = Object.entries(markets).map(([m, rows]) => `${m} ${rows.length}`).join(', ');
+  console.log(`   📊 Odds rows: ${counts}`);
 
   return {
     matchId,
-    basicInfo,
-    events: kept ? cleanedEvents : null,
-    teams,
-    dateInfo  // Include date information in the output
+    markets,
+    stamp: extractorStamp('odds', `${base}/1x2-odds/full-time`)
   };
 }
 
-// Export the function
-export { extractMatchSummary };
+// Export the functions
+export {
+  extractMatchSummary,
+  extractMatchH2H,
+  extractMatchStatistics,
+  extractMatchLineups,
+  extractMatchOdds
+};
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * sync.js
+ * ───────
+ * Fetch and import in one pass: streams each batch result artifact zip from
+ * GitHub, parses the result file as it is unzipped and feeds the rows to the
+ * importer (importer.js, the same logic as import-artifacts.js) in chunks.
+ * Nothing is written to disk and at most one chunk per artifact is held in
+ * memory – except legacy output.json arrays, which have to be read whole.
+ *
+ * Every artifact is recorded in `imports` by artifact ID and by the checksum
+ * of its result file, so later syncs skip it (--force streams it again) and
+ * import-artifacts.js skips the same file fetched by fetch-artifacts.js.
+ * An artifact that fails half way is not recorded; the next sync retries it
+ * and the rows already imported are skipped by their status.
+ * Page snapshots in the artifact (SNAPSHOTS=<dir>, see page-snapshots.js)
+ * are stored in page_snapshots on the way.
+ *
+ * Run selection (one of)
+ *  --run <id[,id…]>      explicit run IDs
+ *  --latest              latest successful run of --workflow (default)
+ *  --since <YYYY-MM-DD>  every successful run of --workflow created since then
+ *
+ * Flags
+ *  --repo / --workflow / --api-url   as for fetch-artifacts.js
+ *  --concurrency <n>     artifacts streamed at once (default 2)
+ *  --chunk <n>           rows per bulk write (default 200)
+ *  --max-attempts <n>    errored rows fail the match at this many (default 3)
+ *  --force               import artifacts already synced
+ *
+ * Examples
+ *  node sync.js
+ *  node sync.js --run 14723964807 --chunk 500
+ *  node sync.js --since 2025-05-01 --concurrency 4
+ */
+
+import dotenv                  from 'dotenv';
+import minimist                from 'minimist';
+import crypto                  from 'crypto';
+import { Readable, Transform } from 'stream';
+import unzipper                from 'unzipper';
+import { connect,
+         findArtifactImport,
+         recordImport,
+         savePageSnapshot }    from '../../database.js';
+import { createImporter,
+         newStats }            from './importer.js';
+import { parseSnapshotFile }   from './page-snapshots.js';
+import { githubConfig, selectRuns, listBatchArtifacts,
+         downloadArtifact, isResultEntry } from '../output/github-artifacts.js';
+
+dotenv.config();       // loads GITHUB_TOKEN from .env
+
+const argv         = minimist(process.argv.slice(2), { boolean: ['latest', 'force'], string: ['run', 'since'] });
+const CONCURRENCY  = Math.max(1, +argv.concurrency || 2);
+const CHUNK        = +argv.chunk || 200;
+const MAX_ATTEMPTS = +argv['max-attempts'] || 3;
+
+const github = githubConfig(argv);
+const runIds = await selectRuns(github, argv);
+if (!runIds.length) {
+  console.log('❌ No matching runs found.');
+  process.exit(0);
+}
+console.log(`🔄 Syncing ${runIds.length} run(s) of ${github.owner}/${github.repo}: ${runIds.join(', ')}`);
+const jobs = await listBatchArtifacts(github, runIds);
+
+const { client, db } = await connect();
+const progress = createProgress(jobs.length);
+const { importChunk } = createImporter(db, { maxAttempts: MAX_ATTEMPTS, actor: 'sync', log: progress.log });
+
+/* --------------------------- sync ---------------------------- */
+const outcomes = [];
+let cursor = 0;
+
+async function worker() {
+  while (cursor < jobs.length) {
+    const job = jobs[cursor++];
+    const outcome = { artifact: job.artifact.name, runId: job.runId, file: job.file,
+                      status: 'imported', rows: 0, snapshots: 0, bytes: 0, stats: newStats() };
+    outcomes.push(outcome);
+    try {
+      const previous = !argv.force && await findArtifactImport(job.artifact.id);
+      if (previous) {
+        outcome.status = 'skipped';
+      } else {
+        await syncArtifact(job, outcome);
+      }
+    } catch (err) {
+      outcome.status = 'failed';
+      outcome.error = err.message;
+      progress.log(`  ❌ ${job.file}: ${err.message}`);
+    }
+    progress.done(outcome);
+  }
+}
+
+await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+progress.stop();
+await client.close();
+
+/* -------------------------- summary -------------------------- */
+const totals = newStats();
+for (const o of outcomes) for (const k of Object.keys(totals)) totals[k] += o.stats[k];
+
+console.log('\nSync summary');
+for (const o of outcomes.sort((a, b) => a.file.localeCompare(b.file))) {
+  const icon = { imported: '✅', skipped: '⏭️', failed: '❌' }[o.status];
+  const s = o.stats;
+  console.log(
+    `  ${icon} ${o.file.padEnd(34)} ${o.status.padEnd(8)} rows ${String(o.rows).padStart(5)}  ` +
+    `ok ${s.successful}  h2h ${s.h2h}  errors ${s.errors}  rejected ${s.rejected}  skipped ${s.skipped}` +
+    `${o.snapshots ? `  snapshots ${o.snapshots}` : ''}` +
+    `${o.error ? `  (${o.error})` : ''}`
+  );
+}
+const count = status => outcomes.filter(o => o.status === status).length;
+console.log(
+  `Artifacts ${outcomes.length}: imported ${count('imported')}, already synced ${count('skipped')}, failed ${count('failed')}`
+);
+console.log(
+  `Matches ${totals.processed}: successful ${totals.successful}, with H2H ${totals.h2h}, ` +
+  `errors ${totals.errors} (marked failed ${totals.failed}), rejected ${totals.rejected}, skipped ${totals.skipped}`
+);
+if (count('failed')) process.exitCode = 1;
+
+/* ------------------------- helpers --------------------------- */
+
+// Streams one artifact: zip → result entry → lines → chunks → importer
+async function syncArtifact({ runId, artifact, file }, outcome) {
+  const response = await downloadArtifact(github, artifact);
+  const zip = Readable.fromWeb(response.body).pipe(unzipper.Parse({ forceStream: true }));
+
+  let found = false;
+  for await (const entry of zip) {
+    // Page snapshots uploaded next to the results go to page_snapshots as they are
+    const snapshot = entry.type === 'File' && parseSnapshotFile(entry.path);
+    if (snapshot) {
+      await savePageSnapshot({ ...snapshot, html: await entry.buffer(), compressed: true, runId: String(runId) });
+      outcome.snapshots++;
+      continue;
+    }
+
+    if (entry.type !== 'File' || !isResultEntry(entry.path) || found) {
+      if (found && isResultEntry(entry.path)) progress.log(`  ⚠️ ${artifact.name}: ignoring extra result file ${entry.path}`);
+      entry.autodrain();
+      continue;
+    }
+    found = true;
+
+    // Hash and count the bytes on their way to the line splitter
+    const hash = crypto.createHash('sha256');
+    const tap = new Transform({
+      transform(buf, _enc, cb) {
+        hash.update(buf);
+        outcome.bytes += buf.length;
+        progress.bytes(buf.length);
+        cb(null, buf);
+      }
+    });
+    entry.pipe(tap).setEncoding('utf8');
+
+    let chunk = [];
+    const flush = async () => {
+      if (!chunk.length) return;
+      await importChunk(chunk, file, outcome.stats);
+      progress.rows(chunk.length);
+      chunk = [];
+    };
+    for await (const result of parseStream(tap, `${file}:${entry.path}`)) {
+      outcome.rows++;
+      chunk.push(result);
+      if (chunk.length >= CHUNK) await flush();
+    }
+    await flush();
+
+    await recordImport({
+      checksum: hash.digest('hex'),
+      file,
+      rows: outcome.rows,
+      stats: outcome.stats,
+      artifactId: artifact.id,
+      runId
+    });
+  }
+  if (!found) throw new Error('No JSON files found in artifact');
+}
+
+// Yields the results of an NDJSON stream line by line (skipping unreadable
+// lines, like parseResults), or of a legacy JSON array once it has all
+// arrived. Unlike parseResults a repeated matchId is not collapsed: both rows
+// are imported in order and the later one only lands if the status allows it.
+async function* parseStream(stream, label) {
+  let rest = '';
+  let lineNo = 0;
+  let legacy = null;
+  let started = false;
+
+  for await (const text of stream) {
+    if (legacy !== null) { legacy += text; continue; }
+    rest += text;
+    if (!started) {
+      if (!rest.trim()) continue;
+      started = true;
+      if (rest.trimStart().startsWith('[')) { legacy = rest; continue; }
+    }
+    const lines = rest.split('\n');
+    rest = lines.pop();
+    for (const line of lines) {
+      lineNo++;
+      if (!line.trim()) continue;
+      const result = parseLine(line, lineNo, label);
+      if (result) yield result;
+    }
+  }
+
+  if (legacy !== null) {
+    yield* JSON.parse(legacy);
+  } else if (rest.trim()) {
+    const result = parseLine(rest, lineNo + 1, label);
+    if (result) yield result;
+  }
+}
+
+function parseLine(line, lineNo, label) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    progress.log(`  ⚠️ ${label}: skipping unreadable line ${lineNo} (${err.message})`);
+    return null;
+  }
+}
+
+// One status line, redrawn in place on a terminal; plain log lines otherwise
+function createProgress(total) {
+  const tty = process.stdout.isTTY;
+  const state = { done: 0, failed: 0, rows: 0, bytes: 0 };
+  let timer = null;
+
+  const line = () =>
+    `⏳ ${state.done}/${total} artifacts  ${state.rows} rows  ` +
+    `${(state.bytes / 1048576).toFixed(1)} MB${state.failed ? `  ❌ ${state.failed} failed` : ''}`;
+  const draw = () => process.stdout.write(`\r\x1b[2K${line()}`);
+  if (tty) timer = setInterval(draw, 250);
+
+  return {
+    log(msg) {
+      if (tty) process.stdout.write('\r\x1b[2K');
+      console.log(msg);
+      if (tty) draw();
+    },
+    rows(n) { state.rows += n; },
+    bytes(n) { state.bytes += n; },
+    done(outcome) {
+      state.done++;
+      if (outcome.status === 'failed') state.failed++;
+      if (!tty && outcome.status !== 'skipped') console.log(`${line()}  (${outcome.file} ${outcome.status})`);
+    },
+    stop() {
+      clearInterval(timer);
+      if (tty) { draw(); process.stdout.write('\n'); }
+    }
+  };
+}
@@ -1,188 +1,156 @@
 #!/usr/bin/env node
+/**
+ * fetch-artifacts.js
+ * ──────────────────
+ * Downloads the batch result artifacts of Match Summary Scraper runs and
+ * saves each one as batch-NNN.json-results for import-artifacts.js.
+ * (sync.js streams them straight into the database instead.) Page
+ * snapshots uploaded with a batch land in <out>/snapshots/<matchId>/…,
+ * ready for reparse.js --dir.
+ *
+ * Run selection (one of)
+ *  --run <id[,id…]>      explicit run IDs
+ *  --latest              latest successful run of --workflow (default)
+ *  --since <YYYY-MM-DD>  every successful run of --workflow created since then
+ *
+ * Flags
+ *  --repo <owner/name>   default GITHUB_REPOSITORY or okechukwu95dev/berch-v2
+ *  --workflow <file|id>  default scrape.yml
+ *  --api-url <url>       GitHub API base (default GITHUB_API_URL or
+ *                        https://api.github.com) – point it at a stub to test
+ *  --concurrency <n>     parallel downloads (default 4)
+ *  --force               download again even if already fetched
+ *
+ * Artifacts already fetched are listed in <out>/.artifacts.json by artifact
+ * ID with the checksum of the saved file; they are skipped while that file
+ * is still there unchanged. With more than one run selected, files are
+ * prefixed with the run ID so batches of different runs don't collide.
+ *
+ * Examples
+ *  node fetch-artifacts.js ./artifacts --latest
+ *  node fetch-artifacts.js ./artifacts --run 14723964807
+ *  node fetch-artifacts.js ./artifacts --since 2025-05-01 --concurrency 8
+ *  node fetch-artifacts.js ./artifacts --run 1 --api-url http://localhost:3001
+ */
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
-import { Octokit } from '@octokit/rest';
+import minimist from 'minimist';
 import unzipper from 'unzipper';
+import { githubConfig, selectRuns, listBatchArtifacts,
+         downloadArtifact, isResultEntry } from './github-artifacts.js';
+import { parseSnapshotFile, snapshotFile } from '../batch-processor/page-snapshots.js';
 
 dotenv.config();       // loads GITHUB_TOKEN from .env
 
-async function main() {
-  const token = process.env.GITHUB_TOKEN;
-  if (!token) throw new Error('GITHUB_TOKEN missing in .env');
-
-  const owner = 'okechukwu95dev';
-  const repo = 'berch-v2';
-  const outDir = process.argv[2] || '.'; // Use current directory or specified dir
+const argv = minimist(process.argv.slice(2), { boolean: ['latest', 'force'], string: ['run', 'since'] });
 
-  // Use run ID from your URL as a direct input
-  const runId = 14723964807; // From your URL
+const MANIFEST = '.artifacts.json';
+const sha256   = buf => crypto.createHash('sha256').update(buf).digest('hex');
 
-  console.log(`🔍 Downloading artifacts from run #${runId} in ${owner}/${repo}`);
-
-  const octokit = new Octokit({
-    auth: token
-  });
+async function main() {
+  const github = githubConfig(argv);
+  const { owner, repo } = github;
+  const outDir = argv._[0] || '.';
+  const concurrency = Math.max(1, +argv.concurrency || 4);
 
-  // Ensure output folder
   await fs.mkdir(outDir, { recursive: true });
 
-  // Get all artifacts from this specific run with pagination
-  try {
-    // We need to handle pagination manually
-    let allArtifacts = [];
-    let page = 1;
-    let hasMorePages = true;
-
-    while (hasMorePages) {
-      console.log(`📄 Fetching page ${page} of artifacts...`);
-
-      const response = await octokit.actions.listWorkflowRunArtifacts({
-        owner,
-        repo,
-        run_id: runId,
-        per_page: 100,
-        page: page
-      });
-
-      const { artifacts, total_count } = response.data;
-      console.log(`  Found ${artifacts.length} artifacts on page ${page} (total: ${total_count})`);
-
-      // Add artifacts from this page to our collection
-      allArtifacts = allArtifacts.concat(artifacts);
-
-      // Check if we need to get more pages
-      if (artifacts.length === 0 || allArtifacts.length >= total_count) {
-        hasMorePages = false;
-      } else {
-        page++;
-      }
-    }
-
-    console.log(`✅ Found ${allArtifacts.length} total artifacts for run #${runId}`);
-
-    // Print all artifact names for debugging
-    console.log(`Artifact names:`);
-    allArtifacts.forEach(artifact => {
-      console.log(`  - ${artifact.name} (${artifact.size_in_bytes} bytes)`);
-    });
-
-    // Filter for all relevant batch artifacts
-    const batchArtifacts = allArtifacts.filter(a =>
-      a.name.match(/batch-\d+.*results?/)
-    );
-
-    console.log(`✅ Found ${batchArtifacts.length} batch artifacts`);
-
-    if (batchArtifacts.length === 0) {
-      console.log('❌ No batch artifacts found in this run.');
-      return;
-    }
+  const runIds = await selectRuns(github, argv);
+  if (!runIds.length) {
+    console.log('❌ No matching runs found.');
+    return;
+  }
+  console.log(`🔍 Fetching artifacts from ${runIds.length} run(s) of ${owner}/${repo}: ${runIds.join(', ')}`);
 
-    // Create a temporary directory for extraction
-    const tempDir = path.join(outDir, `temp_${runId}`);
-    await fs.mkdir(tempDir, { recursive: true });
+  // Collect every batch artifact across the selected runs
+  const jobs = await listBatchArtifacts(github, runIds);
 
-    // Track downloaded artifact count
-    let successCount = 0;
-    let errorCount = 0;
+  const manifestPath = path.join(outDir, MANIFEST);
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8').catch(() => '{}'));
 
-    // Process each artifact
-    for (const artifact of batchArtifacts) {
-      console.log(`\n⏬ Processing ${artifact.name} (${artifact.size_in_bytes} bytes)...`);
+  const counts = { downloaded: 0, skipped: 0, errors: 0, snapshots: 0 };
+  let cursor = 0;
 
+  async function worker() {
+    while (cursor < jobs.length) {
+      const { runId, artifact, file } = jobs[cursor++];
       try {
-        // Download the artifact using fetch directly to get proper binary handling
-        const url = `https://api.github.com/repos/${owner}/${repo}/actions/artifacts/${artifact.id}/zip`;
-        const response = await fetch(url, {
-          headers: {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`Failed to download artifact: ${response.status} ${response.statusText}`);
+        if (!argv.force && await alreadyFetched(outDir, manifest[artifact.id], file)) {
+          counts.skipped++;
+          continue;
         }
 
-        // Get response as array buffer
-        const arrayBuffer = await response.arrayBuffer();
-        // Convert to Buffer properly
-        const buffer = Buffer.from(arrayBuffer);
-
-        // Save zip temporarily
-        const zipPath = path.join(tempDir, `${artifact.name}.zip`);
-        await fs.writeFile(zipPath, buffer);
-        console.log(`  💾 Saved zip to ${zipPath}`);
-
-        // Extract the zip
-        const artifactExtractDir = path.join(tempDir, artifact.name);
-        await fs.mkdir(artifactExtractDir, { recursive: true });
-
-        await unzipper.Open.file(zipPath)
-          .then(d => d.extract({ path: artifactExtractDir }));
-
-        console.log(`  📂 Extracted to ${artifactExtractDir}`);
-
-        // Find all files in the extracted directory
-        const files = await fs.readdir(artifactExtractDir);
-        console.log(`  📄 Files in extract: ${files.join(', ')}`);
-
-        // Find the JSON files
-        const jsonFiles = files.filter(file => file.endsWith('.json'));
-
-        if (jsonFiles.length > 0) {
-          // Process each JSON file
-          for (const jsonFile of jsonFiles) {
-            // Determine output filename (standardize batch numbering)
-            let outputFileName = artifact.name;
-
-            // If it's a batch artifact, try to standardize the name
-            const batchMatch = artifact.name.match(/batch-(\d+)/);
-            if (batchMatch && batchMatch[1]) {
-              const batchNum = parseInt(batchMatch[1], 10);
-              const batchNumPadded = batchNum.toString().padStart(3, '0');
-              outputFileName = `batch-${batchNumPadded}.json-results`;
-            }
-
-            // Read the JSON file
-            const jsonPath = path.join(artifactExtractDir, jsonFile);
-            const jsonContent = await fs.readFile(jsonPath, 'utf8');
-
-            // Save to output directory
-            const outputPath = path.join(outDir, outputFileName);
-            await fs.writeFile(outputPath, jsonContent, 'utf8');
-
-            console.log(`  ✅ Saved as ${outputFileName}`);
-            successCount++;
-          }
-        } else {
-          console.log(`  ❌ No JSON files found in artifact ${artifact.name}`);
-          errorCount++;
-        }
+        console.log(`⏬ ${artifact.name} (${artifact.size_in_bytes} bytes) → ${file}`);
+        const { content, snapshots } = await downloadResults(github, artifact);
+        await fs.writeFile(path.join(outDir, file), content);
+        counts.snapshots += await saveSnapshots(outDir, snapshots);
+
+        manifest[artifact.id] = {
+          name: artifact.name,
+          runId,
+          file,
+          sha256: sha256(content),
+          size: content.length,
+          downloadedAt: new Date().toISOString()
+        };
+        // Save as we go so an interrupted fetch keeps what it already has
+        await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+        counts.downloaded++;
       } catch (err) {
         console.error(`  ❌ Error processing ${artifact.name}:`, err.message);
-        errorCount++;
+        counts.errors++;
       }
     }
+  }
 
-    // Clean up temp directory
-    try {
-      await fs.rm(tempDir, { recursive: true });
-      console.log(`🧹 Cleaned up temporary directory`);
-    } catch (err) {
-      console.warn(`⚠️ Could not clean up temp directory: ${err.message}`);
-    }
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  console.log(`\n🎉 Finished downloading artifacts:`);
+  console.log(`  ✅ Downloaded: ${counts.downloaded}`);
+  console.log(`  ⏭️ Already present: ${counts.skipped}`);
+  if (counts.snapshots) console.log(`  📸 Page snapshots: ${counts.snapshots}`);
+  console.log(`  ❌ Errors: ${counts.errors}`);
+  console.log(`  📂 Files saved to: ${outDir}`);
+  if (counts.errors) process.exitCode = 1;
+}
 
-    console.log(`\n🎉 Finished downloading artifacts:`);
-    console.log(`  ✅ Successfully processed: ${successCount}`);
-    console.log(`  ❌ Errors: ${errorCount}`);
-    console.log(`  📂 Files saved to: ${outDir}`);
+// True when the manifest entry's file is still on disk with the same checksum
+async function alreadyFetched(outDir, entry, file) {
+  if (!entry || entry.file !== file) return false;
+  try {
+    return sha256(await fs.readFile(path.join(outDir, file))) === entry.sha256;
+  } catch {
+    return false;
+  }
+}
+
+// Downloads the artifact zip and returns its result file, preferring NDJSON,
+// and the page snapshot entries next to it
+async function downloadResults(github, artifact) {
+  const response = await downloadArtifact(github, artifact);
+  const zip = await unzipper.Open.buffer(Buffer.from(await response.arrayBuffer()));
+  const snapshots = zip.files.filter(f => f.type === 'File' && parseSnapshotFile(f.path));
+  const results = zip.files
+    .filter(f => f.type === 'File' && isResultEntry(f.path))
+    .sort((a, b) => b.path.endsWith('.ndjson') - a.path.endsWith('.ndjson'));
+  if (!results.length) throw new Error('No JSON files found in artifact');
+  if (results.length > 1) {
+    console.warn(`  ⚠️ ${artifact.name} holds ${results.length} result files – using ${results[0].path}`);
+  }
+  return { content: await results[0].buffer(), snapshots };
+}
 
-  } catch (err) {
-    console.error(`❌ Error accessing run #${runId}:`, err.message);
-    process.exit(1);
+// Writes snapshot entries under <out>/snapshots in page-snapshots.js' layout
+async function saveSnapshots(outDir, entries) {
+  for (const entry of entries) {
+    const { matchId, tab, scrapedAt } = parseSnapshotFile(entry.path);
+    const file = path.join(outDir, 'snapshots', snapshotFile(matchId, tab, scrapedAt));
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, await entry.buffer());
   }
+  return entries.length;
 }
 
 main().catch(err => {
@@ -0,0 +1,100 @@
+/**
+ * github-artifacts.js
+ * ───────────────────
+ * GitHub side of fetch-artifacts.js and sync.js: picking the Match Summary
+ * Scraper runs, listing their batch result artifacts and downloading them.
+ */
+import { Octokit } from '@octokit/rest';
+
+const DEFAULT_API = 'https://api.github.com';
+
+/**
+ * Repo, workflow and API settings from the --repo / --workflow / --api-url
+ * flags, falling back to the environment.
+ * @param {object} argv – parsed minimist flags
+ */
+export function githubConfig(argv) {
+  const token  = process.env.GITHUB_TOKEN;
+  const apiUrl = (argv['api-url'] || process.env.GITHUB_API_URL || DEFAULT_API).replace(/\/$/, '');
+  const [owner, repo] = (argv.repo || process.env.GITHUB_REPOSITORY || 'okechukwu95dev/berch-v2').split('/');
+
+  // A stub API (for testing) needs no token
+  if (!token && apiUrl === DEFAULT_API) throw new Error('GITHUB_TOKEN missing in .env');
+  if ([argv.run, argv.since, argv.latest].filter(Boolean).length > 1) {
+    throw new Error('Pick one of --run, --latest or --since');
+  }
+
+  return {
+    token, apiUrl, owner, repo,
+    workflow: argv.workflow || 'scrape.yml',
+    octokit: new Octokit({ auth: token, baseUrl: apiUrl })
+  };
+}
+
+/**
+ * Run IDs for --run, --since or (default) --latest.
+ * @returns {Promise<number[]>}
+ */
+export async function selectRuns({ octokit, owner, repo, workflow }, argv) {
+  if (argv.run) return String(argv.run).split(',').map(s => +s.trim()).filter(Boolean);
+
+  const query = { owner, repo, workflow_id: workflow, status: 'success', per_page: 100 };
+  if (argv.since) {
+    const runs = await octokit.paginate(octokit.actions.listWorkflowRuns, { ...query, created: `>=${argv.since}` });
+    return runs.map(r => r.id);
+  }
+
+  const { data } = await octokit.actions.listWorkflowRuns({ ...query, per_page: 1 });
+  return data.workflow_runs.slice(0, 1).map(r => r.id);
+}
+
+/**
+ * The batch result artifacts of the given runs, as { runId, artifact, file }.
+ * `file` is the standardized batch-NNN.json-results name, prefixed with the
+ * run ID when there is more than one run so batches don't collide.
+ * Expired artifacts are logged and left out.
+ */
+export async function listBatchArtifacts({ octokit, owner, repo }, runIds) {
+  const jobs = [];
+  for (const runId of runIds) {
+    const artifacts = await octokit.paginate(octokit.actions.listWorkflowRunArtifacts, {
+      owner, repo, run_id: runId, per_page: 100
+    });
+    const batchArtifacts = artifacts.filter(a => /batch-\d+.*results?/.test(a.name));
+    console.log(`  Run #${runId}: ${batchArtifacts.length} batch artifact(s) of ${artifacts.length}`);
+
+    for (const artifact of batchArtifacts) {
+      if (artifact.expired) {
+        console.log(`  ⌛ ${artifact.name} has expired – skipped`);
+        continue;
+      }
+      // Standardize the batch numbering: batch-7.json-results → batch-007.json-results
+      const batchNo = artifact.name.match(/batch-(\d+)/)[1].padStart(3, '0');
+      const file = `${runIds.length > 1 ? `${runId}-` : ''}batch-${batchNo}.json-results`;
+      jobs.push({ runId, artifact, file });
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Starts downloading an artifact zip; the body is left to the caller to
+ * buffer or stream.
+ * @returns {Promise<Response>}
+ */
+export async function downloadArtifact({ apiUrl, token, owner, repo }, artifact) {
+  const url = `${apiUrl}/repos/${owner}/${repo}/actions/artifacts/${artifact.id}/zip`;
+  const response = await fetch(url, {
+    headers: {
+      ...(token && { 'Authorization': `token ${token}` }),
+      'Accept': 'application/vnd.github.v3+json'
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to download artifact: ${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
+// Result files inside an artifact: output.ndjson now, output.json from older runs
+export const isResultEntry = name => /\.(nd)?json$/.test(name);
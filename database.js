@@ -2,6 +2,19 @@ import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
 import zlib from 'zlib';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { promisify } from 'util';
+import { createTeam,
+         matchSchema,
+         teamSchema,
+         checkpointSchema,
+         validateDocument,
+         toJsonSchema,
+         statesLeadingTo,
+         canTransition,
+         TransitionError } from './schema.js';
 
 console.log('[database.js] 📦 Module loaded');
 
@@ -12,6 +25,19 @@ const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
 const DB_NAME   = process.env.DB_NAME   || 'flashscore';
 const MATCHES_COLLECTION    = 'matches';
 const CHECKPOINT_COLLECTION = 'checkpoints';
+const TEAMS_COLLECTION      = 'teams';
+const REJECTS_COLLECTION    = 'rejects';
+const MIGRATIONS_COLLECTION = 'migrations';
+const IMPORTS_COLLECTION    = 'imports';
+const SNAPSHOTS_COLLECTION  = 'page_snapshots';
+const STATUS_HISTORY_LIMIT  = 100;
+const MIGRATIONS_DIR        = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+const gzip   = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Breadcrumb "countries" that are really continents/competitions, not a club's home
+const NON_COUNTRIES = /^(world|europe|africa|asia|north & central america|south america|oceania)$/i;
 
 // Encryption setup (optional – left unchanged)
 const algorithm  = 'aes-256-ctr';
@@ -43,24 +69,39 @@ export async function connect() {
 // Add to database.js
 
 // New schema definitions
+// Where a details/odds/H2H record came from (see provenance.js)
+const provenanceSchema = {
+  domain:     String,
+  scrapedAt:  Date,
+  runId:      String,
+  batch:      String,
+  reparsedAt: Date,
+  extractors: Object     // { summary|statistics|lineups|odds|h2h: { version, selectors, url } }
+};
+
 export const matchDetailsSchema = {
-  matchId:   String,
+  matchId:   { type: String, required: true },
   internalId: String,
   basicInfo: Object,
   teams: Object,
-  events: Array,
+  events: Array,        // [{ minute, addedTime, rawMinute, side, type, player, playerId, assist, scoreAfter? }]
+                        // type: goal|penaltyGoal|penaltyMissed|shootoutKick|yellowCard|secondYellow|redCard|
+                        //       substitution|injurySubstitution|var|other (subs add playerIn/playerOut + IDs)
+  statistics: Object,   // { match|firstHalf|secondHalf: { <statKey>: { name, home, away } } }
+  lineups: Object,      // { home|away: { formation, starters, substitutes, coaches, missing } }
   processedAt: Date,
   processingStatus: {
     type:   String,
     enum:   ['pending', 'complete', 'failed'],
     default: 'pending'
   },
+  provenance: provenanceSchema,
   createdAt: Date,
   updatedAt: Date
 };
 
 export const matchH2HSchema = {
-  matchId:   String,
+  matchId:   { type: String, required: true },
   internalId: String,
   sections: Array,
   processedAt: Date,
@@ -69,11 +110,225 @@ export const matchH2HSchema = {
     enum:   ['pending', 'complete', 'failed'],
     default: 'pending'
   },
+  provenance: provenanceSchema,
   createdAt: Date,
   updatedAt: Date
 };
 
-export async function saveMatches(matches) {
+export const matchOddsSchema = {
+  matchId:   { type: String, required: true },
+  internalId: String,
+  markets: Object,      // { 1x2|overUnder|btts: [{ bookmaker, <outcome>: { opening, closing } }] }
+  processedAt: Date,
+  provenance: provenanceSchema,
+  createdAt: Date,
+  updatedAt: Date
+};
+
+// Descriptor for every collection we write; drives validation and $jsonSchema
+export const COLLECTION_SCHEMAS = {
+  [MATCHES_COLLECTION]:    matchSchema,
+  match_details:           matchDetailsSchema,
+  match_h2h:               matchH2HSchema,
+  match_odds:              matchOddsSchema,
+  [TEAMS_COLLECTION]:      teamSchema,
+  [CHECKPOINT_COLLECTION]: checkpointSchema
+};
+
+//validation -- every write is checked against COLLECTION_SCHEMAS
+// Park an invalid document in `rejects` with the reasons instead of writing it
+export async function quarantine(collection, doc, errors, source = null) {
+  if (!isConnected) await connect();
+
+  console.warn(`[database.js] 🚫 Rejected ${collection} doc ${doc?.matchId ?? doc?.teamId ?? ''}: ${errors.join('; ')}`);
+  await db.collection(REJECTS_COLLECTION).insertOne({
+    collection,
+    key: doc?.matchId ?? doc?.teamId ?? null,
+    doc,
+    errors,
+    source,
+    rejectedAt: new Date()
+  });
+}
+
+/**
+ * Validates a document bound for `collection`; invalid ones are quarantined
+ * unless `quarantine` is false (dry runs).
+ * `partial` checks an update's $set (only the fields present).
+ * @returns {Promise<{valid: boolean, errors: string[], value: object, defaulted: string[]}>}
+ */
+export async function checkDocument(collection, doc, { partial = false, source = null, quarantine: park = true } = {}) {
+  const schema = COLLECTION_SCHEMAS[collection];
+  if (!schema) throw new Error(`No schema for collection ${collection}`);
+
+  const result = validateDocument(doc, schema, { partial });
+  if (!result.valid && park) await quarantine(collection, doc, result.errors, source);
+  return result;
+}
+
+// Upsert by matchId: validated fields are $set, defaults only fill new docs
+async function upsertChecked(collection, doc) {
+  const { valid, value, defaulted } = await checkDocument(collection, doc);
+  if (!valid) return false;
+
+  const set = { ...value, updatedAt: new Date() };
+  const setOnInsert = {};
+  for (const key of defaulted) {
+    setOnInsert[key] = set[key];
+    delete set[key];
+  }
+
+  const res = await db.collection(collection).updateOne(
+    { matchId: value.matchId },
+    { $set: set, ...(defaulted.length && { $setOnInsert: setOnInsert }) },
+    { upsert: true }
+  );
+  return res.upsertedCount > 0 || res.modifiedCount > 0;
+}
+
+// MongoDB validators for each collection, e.g. { matches: { $jsonSchema: … } }
+export function collectionValidators() {
+  return Object.fromEntries(
+    Object.entries(COLLECTION_SCHEMAS).map(([name, schema]) => [name, { $jsonSchema: toJsonSchema(schema) }])
+  );
+}
+
+// Install the validators server-side. 'moderate' leaves existing invalid
+// docs alone until they are next written. Run through migrate.js --validators.
+export async function applySchemaValidators({ validationLevel = 'moderate', validationAction = 'error' } = {}) {
+  if (!isConnected) await connect();
+
+  const existing = new Set((await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name));
+  for (const [name, validator] of Object.entries(collectionValidators())) {
+    if (existing.has(name)) {
+      await db.command({ collMod: name, validator, validationLevel, validationAction });
+    } else {
+      await db.createCollection(name, { validator, validationLevel, validationAction });
+    }
+    console.log(`[database.js] 🛡️ Validator applied to ${name} (${validationLevel}/${validationAction})`);
+  }
+}
+
+//indexes -- every index the queries in this repo rely on
+export const INDEXES = {
+  [MATCHES_COLLECTION]: [
+    { key: { matchId: 1, team: 1 }, unique: true, name: 'matchId_team_unique' },   // saveMatches' 11000 skip
+    { key: { processingStatus: 1, processingAttempts: 1, scrapeId: 1 } },          // getMatchesForProcessing, export-batches, claimMatches
+    { key: { processingStatus: 1, 'lease.expiresAt': 1 } },                        // reapExpiredLeases
+    { key: { internalId: 1 } },
+    { key: { date: 1 } },                                                          // dedupe-matches walk
+    { key: { homeTeamId: 1 } },
+    { key: { awayTeamId: 1 } }
+  ],
+  match_details: [
+    { key: { matchId: 1 }, unique: true },
+    { key: { 'teams.home.id': 1 } },
+    { key: { 'teams.away.id': 1 } }
+  ],
+  match_h2h:  [{ key: { matchId: 1 }, unique: true }],
+  match_odds: [{ key: { matchId: 1 }, unique: true }],
+  [TEAMS_COLLECTION]: [
+    { key: { teamId: 1 }, unique: true },
+    { key: { canonicalName: 1 } },
+    { key: { 'aliases.name': 1 } }
+  ],
+  leagues:      [{ key: { country: 1, league: 1 }, unique: true }],
+  [REJECTS_COLLECTION]: [{ key: { collection: 1, rejectedAt: -1 } }],
+  [IMPORTS_COLLECTION]: [{ key: { file: 1 } }, { key: { artifactId: 1 }, sparse: true }],
+  match_merges: [{ key: { runId: 1 } }, { key: { 'canonical.matchId': 1 } }],
+  [SNAPSHOTS_COLLECTION]: [{ key: { matchId: 1, tab: 1, scrapedAt: -1 }, unique: true }]
+};
+
+// Create every index in INDEXES (or the given { collection: specs }). One
+// failure (e.g. a unique index over existing duplicates) is reported and the
+// rest still get built.
+export async function ensureIndexes(indexes = INDEXES) {
+  if (!isConnected) await connect();
+
+  const failed = [];
+  for (const [collection, specs] of Object.entries(indexes)) {
+    for (const { key, ...options } of specs) {
+      try {
+        const name = await db.collection(collection).createIndex(key, options);
+        console.log(`[database.js] 🗂️ ${collection}.${name}`);
+      } catch (err) {
+        console.error(`[database.js] ❌ Index ${collection} ${JSON.stringify(key)} failed: ${err.message}`);
+        failed.push({ collection, key, error: err.message });
+      }
+    }
+  }
+  return { failed };
+}
+
+//migrations -- numbered files in ./migrations, applied ones recorded in `migrations`
+// A migration file is NNN-some-name.js exporting `description` and `up(db)`.
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+  if (!isConnected) await connect();
+
+  const files = (await fs.readdir(dir)).filter(f => /^\d+-.+\.js$/.test(f)).sort();
+  const applied = new Map(
+    (await db.collection(MIGRATIONS_COLLECTION).find({ _id: { $ne: '__lock' } }).toArray())
+      .map(m => [m._id, m])
+  );
+  return files.map(file => {
+    const id = file.replace(/\.js$/, '');
+    return { id, file: path.join(dir, file), applied: applied.get(id) || null };
+  });
+}
+
+/**
+ * Applies every pending migration in order, stopping at the first failure.
+ * A lock document keeps two runners from migrating at once.
+ * @param {{dir?: string, to?: string, dryRun?: boolean}} [options]
+ * @returns {Promise<string[]>} ids applied (or, dry run, that would be)
+ */
+export async function runMigrations({ dir = MIGRATIONS_DIR, to = null, dryRun = false } = {}) {
+  if (!isConnected) await connect();
+
+  const pending = (await listMigrations(dir))
+    .filter(m => !m.applied && (!to || m.id <= to));
+  console.log(`[database.js] 🧭 ${pending.length} pending migration(s)${dryRun ? ' – dry run' : ''}`);
+  if (dryRun || !pending.length) return pending.map(m => m.id);
+
+  const migrations = db.collection(MIGRATIONS_COLLECTION);
+  try {
+    await migrations.insertOne({ _id: '__lock', lockedAt: new Date() });
+  } catch (err) {
+    if (err.code === 11000) throw new Error('Migrations are locked by another run (delete _id "__lock" if stale)');
+    throw err;
+  }
+
+  const done = [];
+  try {
+    for (const m of pending) {
+      const { description = '', up } = await import(pathToFileURL(m.file).href);
+      console.log(`[database.js] ⏫ ${m.id} – ${description}`);
+      const started = Date.now();
+      let result;
+      try {
+        result = await up(db);
+      } catch (err) {
+        // Applied migrations are recorded, so a re-run resumes at this one
+        err.message = `${m.id}: ${err.message} (fix this and run the migrations again)`;
+        throw err;
+      }
+      await migrations.insertOne({
+        _id: m.id,
+        description,
+        result: result ?? null,
+        appliedAt: new Date(),
+        durationMs: Date.now() - started
+      });
+      done.push(m.id);
+    }
+  } finally {
+    await migrations.deleteOne({ _id: '__lock' });
+  }
+  console.log(`[database.js] ✅ Applied ${done.length} migration(s)`);
+  return done;
+}
+
+export async function saveMatches(matches, { source = 'saveMatches' } = {}) {
   if (!isConnected) await connect();
 
   if (!Array.isArray(matches) || matches.length === 0) {
@@ -83,10 +338,20 @@ export async function saveMatches(matches) {
 
   console.log(`[database.js] 💾 Attempting to insert ${matches.length} matches…`);
 
+  const valid = [];
+  for (const m of matches) {
+    const result = await checkDocument(MATCHES_COLLECTION, m, { source });
+    if (result.valid) valid.push(result.value);
+  }
+  if (valid.length < matches.length) {
+    console.warn(`[database.js] ⚠️ ${matches.length - valid.length} invalid match(es) quarantined`);
+  }
+  if (!valid.length) return 0;
+
   try {
     const res = await db.collection(MATCHES_COLLECTION)
       .insertMany(
-        matches.map(m => ({ ...m, createdAt: new Date() })),
+        valid.map(m => ({ ...m, createdAt: new Date() })),
         { ordered: false }              // keep going after dup-key errors
       );
 
@@ -96,7 +361,7 @@ export async function saveMatches(matches) {
     // Duplicate-key errors (code 11000) are expected when index is unique
     if (err.code === 11000) {
       const inserted = err.result?.result?.nInserted ?? 0;
-      const skipped  = matches.length - inserted;
+      const skipped  = valid.length - inserted;
       console.warn(
         `[database.js] ⚠️ Duplicate key error – ${skipped} doc(s) skipped, ` +
         `${inserted} inserted`
@@ -118,14 +383,10 @@ export async function saveMatchDetails(details) {
   console.log(`[database.js] 💾 Saving details for match ${details.matchId}`);
 
   try {
-    const res = await db.collection('match_details').updateOne(
-      { matchId: details.matchId },
-      { $set: { ...details, updatedAt: new Date() } },
-      { upsert: true }
-    );
+    const saved = await upsertChecked('match_details', details);
 
-    console.log(`[database.js] ✅ Match details saved`);
-    return res.upsertedCount > 0 || res.modifiedCount > 0;
+    if (saved) console.log(`[database.js] ✅ Match details saved`);
+    return saved;
   } catch (err) {
     console.error('[database.js] ❌ Error saving match details:', err);
     throw err;
@@ -139,42 +400,559 @@ export async function saveMatchH2H(h2hData) {
   console.log(`[database.js] 💾 Saving H2H data for match ${h2hData.matchId}`);
 
   try {
-    const res = await db.collection('match_h2h').updateOne(
-      { matchId: h2hData.matchId },
-      { $set: { ...h2hData, updatedAt: new Date() } },
-      { upsert: true }
-    );
+    const saved = await upsertChecked('match_h2h', h2hData);
 
-    console.log(`[database.js] ✅ Match H2H data saved`);
-    return res.upsertedCount > 0 || res.modifiedCount > 0;
+    if (saved) console.log(`[database.js] ✅ Match H2H data saved`);
+    return saved;
   } catch (err) {
     console.error('[database.js] ❌ Error saving match H2H data:', err);
     throw err;
   }
 }
 
-// Update match processing status
-export async function updateMatchStatus(matchId, status) {
+// Save match odds to the match_odds collection
+export async function saveMatchOdds(oddsData) {
   if (!isConnected) await connect();
 
-  console.log(`[database.js] 🔄 Updating match ${matchId} status to ${status}`);
+  console.log(`[database.js] 💾 Saving odds for match ${oddsData.matchId}`);
 
   try {
-    const res = await db.collection('matches').updateOne(
-      { matchId: matchId },
-      {
-        $set: {
-          processingStatus: status,
-          updatedAt: new Date()
-        },
-        $inc: { processingAttempts: 1 }
-      }
+    const saved = await upsertChecked('match_odds', oddsData);
+
+    if (saved) console.log(`[database.js] ✅ Match odds saved`);
+    return saved;
+  } catch (err) {
+    console.error('[database.js] ❌ Error saving match odds:', err);
+    throw err;
+  }
+}
+
+// Get match odds from the match_odds collection
+export async function getMatchOdds(matchId) {
+  if (!isConnected) await connect();
+
+  console.log(`[database.js] 🔍 Getting odds for match ${matchId}`);
+
+  try {
+    const odds = await db.collection('match_odds').findOne({ matchId });
+    console.log(`[database.js] ${odds ? '✅ Match odds found' : '⚠️ No odds stored'}`);
+    return odds;
+  } catch (err) {
+    console.error('[database.js] ❌ Error getting match odds:', err);
+    throw err;
+  }
+}
+
+//teams -- registry keyed by FlashScore team ID
+// Record that a team was seen under a name (from a scraped match).
+// New IDs are created; a new name is appended to the alias history and
+// becomes the canonical name, since FlashScore shows the current one.
+export async function recordTeamSighting({ teamId, name, country, crestUrl, seenAt = new Date() }) {
+  if (!isConnected) await connect();
+  if (!teamId || !name) return null;
+
+  const teams = db.collection(TEAMS_COLLECTION);
+
+  try {
+    const existing = await teams.findOne({ teamId });
+
+    if (!existing) {
+      const team = createTeam({
+        teamId,
+        canonicalName: name,
+        country: country && !NON_COUNTRIES.test(country) ? country : null,
+        crestUrl: crestUrl || null,
+        aliases: [{ name, firstSeen: seenAt, lastSeen: seenAt }],
+        updatedAt: new Date()
+      });
+      const { valid, value } = await checkDocument(TEAMS_COLLECTION, team, { source: 'recordTeamSighting' });
+      if (!valid) return null;
+      await teams.updateOne({ teamId }, { $setOnInsert: value }, { upsert: true });
+      console.log(`[database.js] 🆕 Team ${teamId} registered as ${name}`);
+      return team;
+    }
+
+    const alias = existing.aliases?.find(a => a.name === name);
+    const set = { updatedAt: new Date() };
+    if (crestUrl) set.crestUrl = crestUrl;
+    if (!existing.country && country && !NON_COUNTRIES.test(country)) set.country = country;
+
+    if (alias) {
+      await teams.updateOne(
+        { teamId, 'aliases.name': name },
+        { $set: set, $max: { 'aliases.$.lastSeen': seenAt } }
+      );
+    } else {
+      const latest = Math.max(0, ...(existing.aliases || []).map(a => +a.lastSeen || 0));
+      if (+seenAt >= latest) set.canonicalName = name;
+      await teams.updateOne(
+        { teamId },
+        { $set: set, $push: { aliases: { name, firstSeen: seenAt, lastSeen: seenAt } } }
+      );
+      console.log(`[database.js] 🏷️ Team ${teamId} seen as new alias ${name}`);
+    }
+    return { ...existing, ...set };
+  } catch (err) {
+    console.error('[database.js] ❌ Error recording team sighting:', err);
+    throw err;
+  }
+}
+
+// Get one team by FlashScore ID, following merges to the surviving team
+export async function getTeam(teamId) {
+  if (!isConnected) await connect();
+
+  let team = await db.collection(TEAMS_COLLECTION).findOne({ teamId });
+  const seen = new Set();
+  while (team?.mergedInto && !seen.has(team.teamId)) {
+    seen.add(team.teamId);
+    team = await db.collection(TEAMS_COLLECTION).findOne({ teamId: team.mergedInto });
+  }
+  return team;
+}
+
+// Look teams up by current name or any alias (case-insensitive, exact),
+// optionally narrowed to a country
+export async function findTeamsByName(name, { country = null } = {}) {
+  if (!isConnected) await connect();
+
+  const exact = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  const query = {
+    mergedInto: { $exists: false },
+    $or: [{ canonicalName: exact }, { 'aliases.name': exact }]
+  };
+  if (country) query.country = country;
+
+  console.log(`[database.js] 🔍 Looking up teams named ${name}${country ? ` (${country})` : ''}`);
+  return db.collection(TEAMS_COLLECTION).find(query).toArray();
+}
+
+// Merge team `fromId` into `intoId`: aliases move over, matches and
+// match_details are re-pointed, and `fromId` is left as a tombstone with
+// mergedInto so old references still resolve through getTeam()
+export async function mergeTeams(intoId, fromId) {
+  if (!isConnected) await connect();
+  if (intoId === fromId) throw new Error('Cannot merge a team into itself');
+
+  const teams = db.collection(TEAMS_COLLECTION);
+  const [into, from] = await Promise.all([
+    teams.findOne({ teamId: intoId }),
+    teams.findOne({ teamId: fromId })
+  ]);
+  if (!into || !from) throw new Error(`Unknown team: ${!into ? intoId : fromId}`);
+
+  console.log(`[database.js] 🔀 Merging team ${fromId} (${from.canonicalName}) into ${intoId} (${into.canonicalName})`);
+
+  try {
+    const aliases = [...(into.aliases || [])];
+    for (const a of from.aliases || []) {
+      const same = aliases.find(x => x.name === a.name);
+      if (!same) { aliases.push(a); continue; }
+      if (a.firstSeen < same.firstSeen) same.firstSeen = a.firstSeen;
+      if (a.lastSeen > same.lastSeen) same.lastSeen = a.lastSeen;
+    }
+
+    await teams.updateOne(
+      { teamId: intoId },
+      { $set: {
+        aliases,
+        country: into.country || from.country || null,
+        crestUrl: into.crestUrl || from.crestUrl || null,
+        updatedAt: new Date()
+      } }
+    );
+
+    const [home, away, detailsHome, detailsAway] = await Promise.all([
+      db.collection(MATCHES_COLLECTION).updateMany({ homeTeamId: fromId }, { $set: { homeTeamId: intoId } }),
+      db.collection(MATCHES_COLLECTION).updateMany({ awayTeamId: fromId }, { $set: { awayTeamId: intoId } }),
+      db.collection('match_details').updateMany({ 'teams.home.id': fromId }, { $set: { 'teams.home.id': intoId } }),
+      db.collection('match_details').updateMany({ 'teams.away.id': fromId }, { $set: { 'teams.away.id': intoId } })
+    ]);
+
+    await teams.updateOne(
+      { teamId: fromId },
+      { $set: { mergedInto: intoId, updatedAt: new Date() } }
+    );
+
+    const repointed = {
+      matches: home.modifiedCount + away.modifiedCount,
+      details: detailsHome.modifiedCount + detailsAway.modifiedCount
+    };
+    console.log(`[database.js] ✅ Teams merged – re-pointed ${repointed.matches} matches, ${repointed.details} details`);
+    return repointed;
+  } catch (err) {
+    console.error('[database.js] ❌ Error merging teams:', err);
+    throw err;
+  }
+}
+
+//status -- all processingStatus writes go through the state machine in schema.js
+// Pipeline update that moves matches to `to` and appends the move, with the
+// status it came from, to statusHistory. `to` may be a path of several
+// states (one history entry per step); `reason` a string or one per step.
+// $literal keeps caller strings that start with "$" from being read as
+// field paths.
+function transitionPipeline(to, { actor, runId, reason, set, unset, incAttempts }) {
+  const path = [].concat(to);
+  const final = path[path.length - 1];
+  const entries = path.map((step, i) => ({
+    from:   i === 0 ? '$processingStatus' : { $literal: path[i - 1] },
+    to:     { $literal: step },
+    at:     '$$NOW',
+    actor:  { $literal: actor },
+    runId:  { $literal: runId },
+    reason: { $literal: Array.isArray(reason) ? reason[i] ?? null : reason }
+  }));
+  return [{
+    $set: {
+      ...Object.fromEntries(Object.entries(set).map(([k, v]) => [k, { $literal: v }])),
+      ...Object.fromEntries(unset.map(k => [k, '$$REMOVE'])),
+      processingStatus: { $literal: final },
+      statusHistory: {
+        $slice: [{ $concatArrays: [{ $ifNull: ['$statusHistory', []] }, entries] }, -STATUS_HISTORY_LIMIT]
+      },
+      ...(incAttempts && { processingAttempts: { $add: [{ $ifNull: ['$processingAttempts', 0] }, 1] } }),
+      ...(final !== 'queued' && { lease: '$$REMOVE' }),         // leases only live on queued matches
+      updatedAt: '$$NOW'
+    }
+  }];
+}
+
+function transitionMeta({ actor = 'unknown', runId = process.env.GITHUB_RUN_ID || null, reason = null,
+                          set = {}, unset = [], incAttempts = false } = {}) {
+  return { actor, runId, reason, set, unset, incAttempts };
+}
+
+/**
+ * Moves one match to status `to` if that is a legal transition from where it
+ * is now (checked atomically in the update filter).
+ * @param {string} matchId
+ * @param {string} to
+ * @param {{actor?: string, runId?: string, reason?: string, set?: object, unset?: string[], incAttempts?: boolean}} [meta]
+ *        `set` / `unset` – other fields written / removed in the same update
+ * @returns {Promise<string>} the status the match came from
+ * @throws {TransitionError} match missing or the move is illegal
+ */
+export async function transitionMatch(matchId, to, meta) {
+  if (!isConnected) await connect();
+
+  const m = transitionMeta(meta);
+  const before = await db.collection(MATCHES_COLLECTION).findOneAndUpdate(
+    { matchId, processingStatus: { $in: statesLeadingTo(to) } },
+    transitionPipeline(to, m),
+    { projection: { processingStatus: 1 } }
+  );
+
+  if (!before.value) {
+    const current = await db.collection(MATCHES_COLLECTION)
+      .findOne({ matchId }, { projection: { processingStatus: 1 } });
+    throw new TransitionError(matchId, current ? current.processingStatus : undefined, to);
+  }
+
+  console.log(`[database.js] 🔄 ${matchId}: ${before.value.processingStatus} → ${to} (${m.actor}${m.reason ? `: ${m.reason}` : ''})`);
+  return before.value.processingStatus;
+}
+
+/**
+ * A bulkWrite op walking a match – every row of it, one per team – from
+ * `from` along `path`. Every step is checked against the state machine here;
+ * the filter pins `from`, so the op matches nothing if the match moved in the
+ * meantime.
+ * @param {string} matchId
+ * @param {string|string[]} from – status(es) the caller read on its rows
+ * @param {string|string[]} path
+ * @param {object} [meta] – as for transitionMatch
+ * @throws {TransitionError} some step is illegal
+ */
+export function transitionOp(matchId, from, path, meta) {
+  const steps = [].concat(path);
+  const froms = [].concat(from);
+  for (const status of froms) {
+    steps.reduce((at, to) => {
+      if (!canTransition(at, to)) throw new TransitionError(matchId, at, to);
+      return to;
+    }, status);
+  }
+  return {
+    updateMany: {
+      filter: { matchId, processingStatus: froms.length === 1 ? froms[0] : { $in: froms } },
+      update: transitionPipeline(steps, transitionMeta(meta))
+    }
+  };
+}
+
+/**
+ * Moves every match matching `filter` that may legally go to `to`; the rest
+ * are left alone and counted as skipped.
+ * @returns {Promise<{moved: number, skipped: number}>}
+ */
+export async function transitionMatches(filter, to, meta) {
+  if (!isConnected) await connect();
+
+  const m = transitionMeta(meta);
+  const matches = db.collection(MATCHES_COLLECTION);
+  const total = await matches.countDocuments(filter);
+  const res = await matches.updateMany(
+    { $and: [filter, { processingStatus: { $in: statesLeadingTo(to) } }] },
+    transitionPipeline(to, m)
+  );
+  const skipped = total - res.modifiedCount;
+
+  console.log(`[database.js] 🔄 ${res.modifiedCount} match(es) → ${to} (${m.actor})${skipped ? `, ${skipped} illegal skipped` : ''}`);
+  return { moved: res.modifiedCount, skipped };
+}
+
+//queue -- lease-based work queue over matches (alternative to export-batches)
+// A claim moves a match to queued with lease { workerId, claimedAt, expiresAt }.
+// Workers heartbeat to extend it; when it runs out the match goes back to
+// pending on the next claim. completeMatches keeps the lease for an import
+// window instead, so a scraped match is not handed out again before its
+// result is imported (which drops the lease with the status change).
+
+// Return matches whose lease ran out to pending
+export async function reapExpiredLeases() {
+  if (!isConnected) await connect();
+
+  const { moved } = await transitionMatches(
+    { processingStatus: 'queued', 'lease.expiresAt': { $lt: new Date() } },
+    'pending',
+    { actor: 'queue', reason: 'lease expired' }
+  );
+  return moved;
+}
+
+/**
+ * Atomically claims up to `n` matches for `workerId`, oldest scrapeId first.
+ * @param {string} workerId
+ * @param {number} n
+ * @param {number} [leaseSeconds]
+ * @param {{statuses?: string[], maxAttempts?: number, filter?: object, runId?: string}} [options]
+ *        statuses – what counts as work (default pending; each must be allowed to go to queued)
+ * @returns {Promise<object[]>} the claimed match docs
+ */
+export async function claimMatches(workerId, n, leaseSeconds = 600, {
+  statuses = ['pending'], maxAttempts = 3, filter = {}, runId
+} = {}) {
+  if (!isConnected) await connect();
+
+  const claimable = statuses.filter(st => statesLeadingTo('queued').includes(st));
+  if (claimable.length !== statuses.length) {
+    throw new Error(`Cannot queue from: ${statuses.filter(st => !claimable.includes(st)).join(', ')}`);
+  }
+
+  await reapExpiredLeases();
+
+  const claimed = [];
+  while (claimed.length < n) {
+    const now = new Date();
+    const res = await db.collection(MATCHES_COLLECTION).findOneAndUpdate(
+      { ...filter, processingStatus: { $in: claimable }, processingAttempts: { $not: { $gte: maxAttempts } } },
+      transitionPipeline('queued', transitionMeta({
+        actor: workerId,
+        runId,
+        reason: `claimed for ${leaseSeconds}s`,
+        set: { lease: { workerId, claimedAt: now, expiresAt: new Date(now.getTime() + leaseSeconds * 1000) } }
+      })),
+      { sort: { scrapeId: 1 }, returnDocument: 'after' }
     );
+    if (!res.value) break;
+    claimed.push(res.value);
+  }
+
+  console.log(`[database.js] 📥 ${workerId} claimed ${claimed.length}/${n} match(es)`);
+  return claimed;
+}
+
+// Extend the leases `workerId` still holds; returns the matchIds it lost
+export async function heartbeatMatches(workerId, matchIds, leaseSeconds = 600) {
+  if (!isConnected) await connect();
+  if (!matchIds.length) return [];
+
+  const held = { matchId: { $in: matchIds }, processingStatus: 'queued', 'lease.workerId': workerId };
+  await db.collection(MATCHES_COLLECTION).updateMany(
+    { ...held, 'lease.completedAt': { $exists: false } },
+    { $set: { 'lease.expiresAt': new Date(Date.now() + leaseSeconds * 1000) } }
+  );
+  const still = new Set(await db.collection(MATCHES_COLLECTION).distinct('matchId', held));
+  const lost = matchIds.filter(id => !still.has(id));
+  if (lost.length) console.warn(`[database.js] ⚠️ ${workerId} lost ${lost.length} lease(s): ${lost.join(', ')}`);
+  return lost;
+}
 
+// Mark claimed matches as scraped; the lease now only guards the import window
+export async function completeMatches(workerId, matchIds, holdSeconds = 86400) {
+  if (!isConnected) await connect();
+  if (!matchIds.length) return 0;
+
+  const now = new Date();
+  const res = await db.collection(MATCHES_COLLECTION).updateMany(
+    { matchId: { $in: matchIds }, processingStatus: 'queued', 'lease.workerId': workerId },
+    { $set: { 'lease.completedAt': now, 'lease.expiresAt': new Date(now.getTime() + holdSeconds * 1000) } }
+  );
+  return res.modifiedCount;
+}
+
+// Give back claimed matches the worker did not get to (or, `to` failed,
+// could not scrape for good)
+export async function releaseMatches(workerId, matchIds, reason = 'released', to = 'pending') {
+  if (!isConnected) await connect();
+  if (!matchIds.length) return 0;
+
+  const { moved } = await transitionMatches(
+    { matchId: { $in: matchIds }, processingStatus: 'queued', 'lease.workerId': workerId },
+    to,
+    { actor: workerId, reason }
+  );
+  return moved;
+}
+
+//imports -- artifact files already imported, keyed by content checksum
+export async function findImport(checksum) {
+  if (!isConnected) await connect();
+  return db.collection(IMPORTS_COLLECTION).findOne({ _id: checksum });
+}
+
+// sync.js streams artifacts, so it only knows the checksum afterwards
+export async function findArtifactImport(artifactId) {
+  if (!isConnected) await connect();
+  return db.collection(IMPORTS_COLLECTION).findOne({ artifactId });
+}
+
+export async function recordImport({ checksum, file, rows, stats, artifactId, runId }) {
+  if (!isConnected) await connect();
+
+  await db.collection(IMPORTS_COLLECTION).updateOne(
+    { _id: checksum },
+    {
+      $set: { file, rows, stats, importedAt: new Date(), ...(artifactId && { artifactId, runId }) },
+      $inc: { runs: 1 }
+    },
+    { upsert: true }
+  );
+  console.log(`[database.js] 🧾 Import of ${file} recorded`);
+}
+
+//page snapshots -- rendered match pages, gzip-compressed (see page-snapshots.js)
+
+// Stores one page; html is a string, or already gzipped with compressed: true.
+// Returns the stored size in bytes.
+export async function savePageSnapshot({ matchId, tab, html, scrapedAt = new Date(), compressed = false,
+                                         runId = process.env.GITHUB_RUN_ID || null }) {
+  if (!isConnected) await connect();
+
+  const body = compressed ? html : await gzip(html);
+  await db.collection(SNAPSHOTS_COLLECTION).updateOne(
+    { matchId, tab, scrapedAt },
+    { $set: { html: body, encoding: 'gzip', bytes: body.length, runId } },
+    { upsert: true }
+  );
+  return body.length;
+}
+
+// Latest snapshot of every tab, one match at a time:
+// { matchId, tabs: { summary: { html, scrapedAt, runId }, 'statistics/match': …, … } }
+// Only IDs are walked; each match's bodies are fetched when it is yielded.
+export async function* latestPageSnapshots({ matchIds, tabs, since } = {}) {
+  if (!isConnected) await connect();
+
+  const snapshots = db.collection(SNAPSHOTS_COLLECTION);
+  const filter = {
+    ...(matchIds && { matchId: { $in: matchIds } }),
+    ...(tabs && { tab: { $in: tabs } }),
+    ...(since && { scrapedAt: { $gte: since } })
+  };
+
+  const load = async (matchId, ids) => {
+    const result = { matchId, tabs: {} };
+    for (const doc of await snapshots.find({ _id: { $in: ids } }).toArray()) {
+      result.tabs[doc.tab] = {
+        html: (await gunzip(doc.html.buffer)).toString('utf8'),
+        scrapedAt: doc.scrapedAt,
+        runId: doc.runId ?? null
+      };
+    }
+    return result;
+  };
+
+  let matchId = null, tab = null, ids = [];
+  const cursor = snapshots.find(filter).project({ matchId: 1, tab: 1 }).sort({ matchId: 1, tab: 1, scrapedAt: -1 });
+  for await (const doc of cursor) {
+    if (doc.matchId !== matchId) {
+      if (ids.length) yield await load(matchId, ids);
+      matchId = doc.matchId;
+      tab = null;
+      ids = [];
+    }
+    if (doc.tab !== tab) {
+      tab = doc.tab;
+      ids.push(doc._id);
+    }
+  }
+  if (ids.length) yield await load(matchId, ids);
+}
+
+//provenance -- records by the extractor version / selector set that made them (see provenance.js)
+
+// Filter for suspect records of one extractor, any of: made by one of
+// `versions`, by a version below `below`, with one of the `selectors`
+// fingerprints, with no stamp for the extractor at all (`missing`), or
+// stamped by anything but the `current` { version, selectors }
+export function provenanceFilter({ extractor = 'summary', versions, below, selectors, missing = false, current } = {}) {
+  const field = `provenance.extractors.${extractor}`;
+  const or = [];
+  if (versions?.length)    or.push({ [`${field}.version`]: { $in: versions } });
+  if (below !== undefined) or.push({ [`${field}.version`]: { $lt: below } });
+  if (selectors?.length)   or.push({ [`${field}.selectors`]: { $in: selectors } });
+  if (missing)             or.push({ [field]: { $exists: false } });
+  if (current) {
+    or.push({
+      [field]: { $exists: true },
+      $or: [
+        { [`${field}.version`]: { $ne: current.version } },
+        { [`${field}.selectors`]: { $ne: current.selectors } }
+      ]
+    });
+  }
+  if (!or.length) throw new Error('provenanceFilter needs versions, below, selectors, missing or current');
+  return or.length === 1 ? or[0] : { $or: or };
+}
+
+// Suspect records of a collection (see provenanceFilter)
+export async function findByProvenance(collection, criteria, { projection = { matchId: 1, provenance: 1 }, limit = 0 } = {}) {
+  if (!isConnected) await connect();
+  return db.collection(collection)
+    .find(provenanceFilter(criteria))
+    .project(projection)
+    .limit(limit)
+    .toArray();
+}
+
+// Records per version / selector fingerprint of one extractor, newest version first:
+// [{ version, selectors, count, first, last }] – first/last scrape time; null version = no stamp
+export async function provenanceSummary(collection, extractor = 'summary') {
+  if (!isConnected) await connect();
+
+  const field = `$provenance.extractors.${extractor}`;
+  const rows = await db.collection(collection).aggregate([
+    { $group: {
+      _id:   { version: `${field}.version`, selectors: `${field}.selectors` },
+      count: { $sum: 1 },
+      first: { $min: '$provenance.scrapedAt' },
+      last:  { $max: '$provenance.scrapedAt' }
+    } },
+    { $sort: { '_id.version': -1, last: -1 } }
+  ]).toArray();
+  return rows.map(({ _id, ...row }) => ({ version: _id.version ?? null, selectors: _id.selectors ?? null, ...row }));
+}
+
+// Update match processing status (counts as a processing attempt)
+export async function updateMatchStatus(matchId, status, meta = {}) {
+  try {
+    await transitionMatch(matchId, status, { actor: 'updateMatchStatus', ...meta, incAttempts: true });
     console.log(`[database.js] ✅ Match status updated`);
-    return res.modifiedCount > 0;
+    return true;
   } catch (err) {
-    console.error('[database.js] ❌ Error updating match status:', err);
+    console.error('[database.js] ❌ Error updating match status:', err.message);
     throw err;
   }
 }
@@ -246,7 +1024,7 @@ export async function getMatchesForProcessing(options = {}) {
 }
 
 
-// Get full match data (match + details + H2H)
+// Get full match data (match + details + H2H + odds)
 export async function getFullMatchData(matchId) {
   if (!isConnected) await connect();
 
@@ -267,8 +1045,15 @@ export async function getFullMatchData(matchId) {
         foreignField: 'matchId',
         as: 'h2h'
       }},
+      { $lookup: {
+        from: 'match_odds',
+        localField: 'matchId',
+        foreignField: 'matchId',
+        as: 'odds'
+      }},
       { $unwind: { path: '$details', preserveNullAndEmptyArrays: true } },
-      { $unwind: { path: '$h2h', preserveNullAndEmptyArrays: true } }
+      { $unwind: { path: '$h2h', preserveNullAndEmptyArrays: true } },
+      { $unwind: { path: '$odds', preserveNullAndEmptyArrays: true } }
     ];
 
    const result = await db.collection('matches').aggregate(pipeline).toArray();
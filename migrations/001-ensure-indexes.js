@@ -0,0 +1,51 @@
+// The indexes the scraper and importer queried on when migrations started.
+// Later indexes come with their own migration; `migrate.js --indexes`
+// builds everything database.js INDEXES declares today.
+import { ensureIndexes } from '../database.js';
+
+export const description = 'Create the indexes the scraper and importer query on';
+
+const INDEXES = {
+  matches: [
+    { key: { matchId: 1, team: 1 }, unique: true, name: 'matchId_team_unique' },
+    { key: { processingStatus: 1, processingAttempts: 1, scrapeId: 1 } },
+    { key: { internalId: 1 } },
+    { key: { date: 1 } },
+    { key: { homeTeamId: 1 } },
+    { key: { awayTeamId: 1 } }
+  ],
+  match_details: [
+    { key: { matchId: 1 }, unique: true },
+    { key: { 'teams.home.id': 1 } },
+    { key: { 'teams.away.id': 1 } }
+  ],
+  match_h2h:    [{ key: { matchId: 1 }, unique: true }],
+  match_odds:   [{ key: { matchId: 1 }, unique: true }],
+  teams: [
+    { key: { teamId: 1 }, unique: true },
+    { key: { canonicalName: 1 } },
+    { key: { 'aliases.name': 1 } }
+  ],
+  leagues:      [{ key: { country: 1, league: 1 }, unique: true }],
+  rejects:      [{ key: { collection: 1, rejectedAt: -1 } }],
+  match_merges: [{ key: { runId: 1 } }, { key: { 'canonical.matchId': 1 } }]
+};
+
+export async function up(db) {
+  const { failed } = await ensureIndexes(INDEXES);
+  if (!failed.length) return { failed: 0 };
+
+  // matchId_team_unique fails over rows stored twice for the same team's
+  // listing; dedupe-matches.js only marks cross-listed fixtures, so the
+  // extra copies have to go before the index can be built
+  const pairs = await db.collection('matches').aggregate([
+    { $group: { _id: { matchId: '$matchId', team: '$team' }, n: { $sum: 1 } } },
+    { $match: { n: { $gt: 1 } } },
+    { $limit: 5 }
+  ]).toArray();
+  const hint = pairs.length
+    ? ` – {matchId, team} stored more than once, e.g. ${pairs.map(p => `${p._id.matchId}/${p._id.team}`).join(', ')}; ` +
+      'delete the extra copies and run the migration again'
+    : '';
+  throw new Error(`${failed.length} index(es) failed: ${failed.map(f => f.collection).join(', ')}${hint}`);
+}
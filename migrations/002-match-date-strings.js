@@ -0,0 +1,11 @@
+// Imports before validation stored matches.date as the ISO string from the
+// JSON artifact; turn those back into real Dates
+export const description = 'Convert string matches.date values to Date';
+
+export async function up(db) {
+  const res = await db.collection('matches').updateMany(
+    { date: { $type: 'string' } },
+    [{ $set: { date: { $toDate: '$date' } } }]
+  );
+  return { converted: res.modifiedCount };
+}
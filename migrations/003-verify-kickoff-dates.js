@@ -0,0 +1,28 @@
+// The repair-dates.js fix as a tracked migration: re-parse every kickoff in
+// SOURCE_TZ, correct shifted ones and stamp dateFixed on all verified matches
+import { repairMatchDates } from '../utils.js';
+
+export const description = 'Re-parse kickoffs in SOURCE_TZ and backfill dateFixed';
+
+export async function up(db) {
+  const timeZone = process.env.SOURCE_TZ;
+  if (!timeZone) {
+    // A fresh database has nothing to re-parse, so it needs no zone
+    const scraped = await db.collection('match_details').countDocuments({ 'basicInfo.dateStr': { $type: 'string' } }, { limit: 1 });
+    if (!scraped) {
+      console.log('[003] ⏭️ No match_details kickoffs to verify – SOURCE_TZ not needed');
+      return { checked: 0 };
+    }
+    throw new Error(
+      'SOURCE_TZ is not set – it is the zone the stored pages were scraped in, ' +
+      'e.g. SOURCE_TZ=Europe/London npm run migrate'
+    );
+  }
+
+  return repairMatchDates(db, {
+    timeZone,
+    order: process.env.SOURCE_DATE_ORDER || 'MDY',
+    markVerified: true,
+    onlyUnverified: true
+  });
+}
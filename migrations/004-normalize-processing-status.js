@@ -0,0 +1,28 @@
+// Statuses from before the state machine (summary_pending, missing or
+// unknown values) have no legal way out; send them back to pending
+import { PROCESSING_STATES } from '../schema.js';
+
+export const description = 'Reset processingStatus values outside the state machine to pending';
+
+export async function up(db) {
+  const res = await db.collection('matches').updateMany(
+    { processingStatus: { $nin: PROCESSING_STATES } },
+    [{
+      $set: {
+        statusHistory: {
+          $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [{
+            from: { $ifNull: ['$processingStatus', null] },
+            to: 'pending',
+            at: '$$NOW',
+            actor: 'migration',
+            runId: '004-normalize-processing-status',
+            reason: 'status not in state machine'
+          }]]
+        },
+        processingStatus: 'pending',
+        updatedAt: '$$NOW'
+      }
+    }]
+  );
+  return { reset: res.modifiedCount };
+}
@@ -0,0 +1,12 @@
+// claimMatches / reapExpiredLeases look matches up by lease expiry
+import { ensureIndexes } from '../database.js';
+
+export const description = 'Add the queue lease index';
+
+export async function up() {
+  const { failed } = await ensureIndexes({
+    matches: [{ key: { processingStatus: 1, 'lease.expiresAt': 1 } }]
+  });
+  if (failed.length) throw new Error(`Lease index failed: ${failed[0].error}`);
+  return { failed: 0 };
+}
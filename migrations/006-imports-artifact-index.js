@@ -0,0 +1,14 @@
+// sync.js checks `imports` by artifact ID before streaming an artifact.
+// The file index import-artifacts.js added along with `imports` is built
+// here too; it had no migration of its own.
+import { ensureIndexes } from '../database.js';
+
+export const description = 'Add the imports artifactId and file indexes';
+
+export async function up() {
+  const { failed } = await ensureIndexes({
+    imports: [{ key: { file: 1 } }, { key: { artifactId: 1 }, sparse: true }]
+  });
+  if (failed.length) throw new Error(`${failed.length} imports index(es) failed: ${failed[0].error}`);
+  return { failed: 0 };
+}
@@ -0,0 +1,13 @@
+// reparse.js walks page_snapshots by match, tab and newest first; the
+// unique key also keeps a re-synced artifact from storing a snapshot twice
+import { ensureIndexes } from '../database.js';
+
+export const description = 'Add the page_snapshots index';
+
+export async function up() {
+  const { failed } = await ensureIndexes({
+    page_snapshots: [{ key: { matchId: 1, tab: 1, scrapedAt: -1 }, unique: true }]
+  });
+  if (failed.length) throw new Error(`page_snapshots index failed: ${failed[0].error}`);
+  return { failed: 0 };
+}
@@ -3,32 +3,105 @@
 // ─────────────────────────────────────────────
 console.log('[schema.js] 📜 Module loaded');
 
+// Processing state machine – every matches.processingStatus write goes
+// through transitionMatch / transitionMatches (database.js), which only
+// move a match along these edges and log each move in statusHistory.
+// Happy path: pending → queued → summary_complete → h2h_pending → complete;
+// h2h_pending / complete / failed can be re-queued for another scrape.
+export const PROCESSING_TRANSITIONS = {
+  pending:          ['queued', 'summary_complete', 'failed', 'duplicate'],
+  queued:           ['pending', 'summary_complete', 'failed', 'duplicate'],
+  summary_complete: ['h2h_pending', 'failed', 'duplicate'],
+  h2h_pending:      ['queued', 'complete', 'failed', 'duplicate'],
+  complete:         ['queued', 'duplicate'],
+  failed:           ['pending', 'queued', 'duplicate'],
+  duplicate:        ['pending']                 // undoing a wrong merge
+};
+
+export const PROCESSING_STATES = Object.keys(PROCESSING_TRANSITIONS);
+
+export class TransitionError extends Error {
+  constructor(matchId, from, to) {
+    super(from === undefined
+      ? `Match ${matchId} not found`
+      : `Illegal status transition for ${matchId}: ${from} → ${to}`);
+    this.name = 'TransitionError';
+    this.matchId = matchId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// States a match may be in to move to `to`
+export function statesLeadingTo(to) {
+  if (!PROCESSING_TRANSITIONS[to]) throw new Error(`[schema.js] Unknown processing status: ${to}`);
+  return PROCESSING_STATES.filter(from => PROCESSING_TRANSITIONS[from].includes(to));
+}
+
+export function canTransition(from, to) {
+  return !!PROCESSING_TRANSITIONS[from]?.includes(to);
+}
+
 // Match schema – represents a football match record
 export const matchSchema = {
-  matchId:   String,
-  internalId: String,
-  team:      String,
+  matchId:   { type: String, required: true },
+  internalId: { type: String, required: true },
+  team:      { type: String, required: true },
   teamName:  String,
   league:    String,
   country:   String,
-  date:      Date,
-  homeTeam:  String,
-  awayTeam:  String,
+  date:      Date,       // kickoff, UTC
+  localKickoff: String,  // kickoff as shown on the page, "YYYY-MM-DDTHH:MM"
+  timeZone:  String,     // IANA zone localKickoff is in
+  homeTeam:  { type: String, required: true },
+  awayTeam:  { type: String, required: true },
+  homeTeamId: String,    // → teams.teamId
+  awayTeamId: String,    // → teams.teamId
   homeScore: String,
   awayScore: String,
   scrapedAt: Date,
+  teamPerspectives: Array, // [{ team, teamName }] – every team page this fixture was scraped from
+  mergedMatchIds: Array,   // matchIds of duplicates folded into this record
+  duplicateOf: String,     // set on duplicates: the canonical matchId
   processingStatus: {
     type:   String,
-    enum:   ['pending', 'summary_pending', 'summary_complete', 'h2h_pending', 'complete', 'failed'],
+    enum:   PROCESSING_STATES,
     default: 'pending'
   },
   processingAttempts: {
     type: Number,
     default: 0
   },
+  lease: {               // set while queued through claimMatches
+    workerId:    String,
+    claimedAt:   Date,
+    expiresAt:   Date,
+    completedAt: Date    // scraped, waiting for import
+  },
+  lastError: {           // last errored scrape result, cleared on a good import
+    message:        String,
+    errorClass:     String,
+    permanent:      Boolean,
+    scrapeAttempts: Number,
+    file:           String,
+    at:             Date
+  },
+  statusHistory: Array,  // [{ from, to, at, actor, runId, reason }] – newest last, capped at 100
   updatedAt: Date
 };
 
+// Team schema – one document per FlashScore team ID
+export const teamSchema = {
+  teamId:        { type: String, required: true },  // FlashScore ID from the participant link
+  canonicalName: { type: String, required: true },  // name FlashScore shows today
+  country:       String,
+  crestUrl:      String,
+  aliases:       Array,    // [{ name, firstSeen, lastSeen }] – every name seen
+  mergedInto:    String,   // set when this ID was merged into another team
+  createdAt:     Date,
+  updatedAt:     Date
+};
+
 // Checkpoint schema – represents scraper state for resuming
 export const checkpointSchema = {
   _id:       String,
@@ -47,15 +120,127 @@ export const checkpointSchema = {
   }
 };
 
+// ─────────────────────────────────────────────
+// Descriptor validation
+// ─────────────────────────────────────────────
+// A descriptor field is one of:
+//   String | Number | Boolean | Date | Object | Array      – just the type
+//   { type, enum?, default?, required? }                   – a field spec
+//   { a: …, b: … }                                         – nested object
+//   [descriptor]                                           – array of items
+// Fields are optional and may be null unless `required` (which also refuses
+// ''); fields the descriptor doesn't mention are let through.
+
+const TYPES = new Map([
+  [String,  { name: 'string',  bson: 'string', check: v => typeof v === 'string' }],
+  [Number,  { name: 'number',  bson: 'number', check: v => typeof v === 'number' && Number.isFinite(v) }],
+  [Boolean, { name: 'boolean', bson: 'bool',   check: v => typeof v === 'boolean' }],
+  [Date,    { name: 'date',    bson: 'date',   check: v => v instanceof Date && !isNaN(v) }],
+  [Object,  { name: 'object',  bson: 'object', check: v => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) }],
+  [Array,   { name: 'array',   bson: 'array',  check: v => Array.isArray(v) }]
+]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// Bring any descriptor field to { type, enum, default, required, fields, items }
+function fieldSpec(desc) {
+  if (TYPES.has(desc)) return { type: desc };
+  if (Array.isArray(desc)) return { type: Array, items: desc.length ? fieldSpec(desc[0]) : null };
+  if (desc && typeof desc === 'object') {
+    if (TYPES.has(desc.type)) return desc;
+    return { type: Object, fields: desc };
+  }
+  throw new Error(`[schema.js] Unknown descriptor: ${desc}`);
+}
+
+function checkField(value, spec, path, errors, partial) {
+  if (value === undefined || value === null || (spec.required && value === '')) {
+    if (spec.required && (value !== undefined || !partial)) errors.push(`${path}: required`);
+    return value;
+  }
+
+  // JSON artifacts carry dates as ISO strings
+  if (spec.type === Date && typeof value === 'string' && ISO_DATE.test(value)) value = new Date(value);
+
+  const type = TYPES.get(spec.type);
+  if (!type.check(value)) {
+    errors.push(`${path}: expected ${type.name}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+    return value;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(`${path}: '${value}' not in [${spec.enum.join(', ')}]`);
+  }
+  if (spec.fields) value = checkFields(value, spec.fields, `${path}.`, errors, partial);
+  if (spec.items) value = value.map((v, i) => checkField(v, spec.items, `${path}[${i}]`, errors, partial));
+  return value;
+}
+
+function checkFields(obj, descriptor, prefix, errors, partial, defaulted = null) {
+  const out = { ...obj };
+  for (const [key, desc] of Object.entries(descriptor)) {
+    const spec = fieldSpec(desc);
+    if (out[key] === undefined && spec.default !== undefined && !partial) {
+      out[key] = structuredClone(spec.default);
+      defaulted?.push(key);
+      continue;
+    }
+    const value = checkField(out[key], spec, prefix + key, errors, partial);
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Validates a document against a descriptor schema.
+ * Fills defaults for missing fields and turns ISO date strings into Dates.
+ * With `partial` (an update's $set) only the fields present are checked and
+ * nothing is filled in.
+ * @param {object} doc
+ * @param {object} schema – descriptor, e.g. matchSchema
+ * @param {{partial?: boolean}} [options]
+ * @returns {{valid: boolean, errors: string[], value: object, defaulted: string[]}}
+ */
+export function validateDocument(doc, schema, { partial = false } = {}) {
+  if (!TYPES.get(Object).check(doc)) {
+    return { valid: false, errors: ['document: expected object'], value: doc, defaulted: [] };
+  }
+  const errors = [];
+  const defaulted = [];
+  const value = checkFields(doc, schema, '', errors, partial, defaulted);
+  return { valid: errors.length === 0, errors, value, defaulted };
+}
+
+/**
+ * Translates a descriptor schema into a MongoDB $jsonSchema document,
+ * e.g. for createCollection / collMod validators.
+ * @param {object} schema
+ * @returns {object}
+ */
+export function toJsonSchema(schema) {
+  const properties = {};
+  const required = [];
+  for (const [key, desc] of Object.entries(schema)) {
+    const spec = fieldSpec(desc);
+    properties[key] = jsonSchemaField(spec);
+    if (spec.required) required.push(key);
+  }
+  return { bsonType: 'object', ...(required.length && { required }), properties };
+}
+
+function jsonSchemaField(spec) {
+  const bson = TYPES.get(spec.type).bson;
+  const out = { bsonType: spec.required ? bson : [bson, 'null'] };
+  if (spec.enum) out.enum = spec.required ? [...spec.enum] : [...spec.enum, null];
+  if (spec.fields) Object.assign(out, toJsonSchema(spec.fields), { bsonType: out.bsonType });
+  if (spec.items) out.items = jsonSchemaField(spec.items);
+  return out;
+}
+
 // Validate a match object against the schema
 export function validateMatch(match) {
-  const required = ['matchId', 'internalId', 'team', 'homeTeam', 'awayTeam'];
-  const missing   = required.filter(f => !match[f]);
-  if (missing.length) {
-    console.error(`[schema.js] ❌ Validation failed – missing: ${missing.join(', ')}`);
-    return { valid: false, errors: [`Missing required fields: ${missing.join(', ')}`] };
-  }
-  return { valid: true };
+  const { valid, errors } = validateDocument(match, matchSchema);
+  if (!valid) console.error(`[schema.js] ❌ Validation failed – ${errors.join('; ')}`);
+  return valid ? { valid } : { valid, errors };
 }
 
 // Helper to create a match object with defaults
@@ -88,6 +273,8 @@ export function createMatchDetails(data={}) {
     basicInfo: {},
     teams: {},
     events: [],
+    statistics: {},
+    lineups: {},
     processedAt: new Date(),
     processingStatus: 'pending',
     createdAt: new Date(),
@@ -111,3 +298,33 @@ export function createMatchH2H(data={}) {
   console.debug('[schema.js] 🆕 createMatchH2H', h2h.matchId);
   return h2h;
 }
+
+
+// Helper to create a match odds object
+export function createMatchOdds(data={}) {
+  const odds = {
+    matchId: '',
+    internalId: '',
+    markets: {},
+    processedAt: new Date(),
+    createdAt: new Date(),
+    ...data
+  };
+  console.debug('[schema.js] 🆕 createMatchOdds', odds.matchId);
+  return odds;
+}
+
+// Helper to create a team object
+export function createTeam(data={}) {
+  const team = {
+    teamId: '',
+    canonicalName: '',
+    country: null,
+    crestUrl: null,
+    aliases: [],
+    createdAt: new Date(),
+    ...data
+  };
+  console.debug('[schema.js] 🆕 createTeam', team.teamId);
+  return team;
+}
@@ -1,27 +1,178 @@
 // utils.js
 // Shared date parsing and ID generation utilities
 
+// Timezone of this machine – what parseDate assumed before zones were explicit
+export const LOCAL_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 /**
- * Parses a date string in various Flashscore formats into a JS Date.
- * Supports "DD.MM.YYYY HH:MM" and falls back to native parsing.
+ * Offset of `timeZone` from UTC at the given instant, in milliseconds.
+ * @param {number} ts – epoch ms
+ * @param {string} timeZone – IANA name, e.g. "Europe/London"
+ * @returns {number}
+ */
+export function timeZoneOffsetMs(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(ts));
+  const get = type => +parts.find(p => p.type === type).value;
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in `timeZone` to the UTC instant.
+ * The second pass settles kickoffs that fall right after a DST switch.
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(Y, M, d, h, min, timeZone) {
+  const wall = Date.UTC(Y, M - 1, d, h, min);
+  let utc = wall - timeZoneOffsetMs(wall, timeZone);
+  const settled = wall - timeZoneOffsetMs(utc, timeZone);
+  if (settled !== utc) utc = settled;
+  return new Date(utc);
+}
+
+/**
+ * Parses a FlashScore kickoff string in the timezone the page was rendered in.
+ * Supports "DD.MM.YYYY HH:MM" (flashscore.com), "MM/DD/YYYY h:MM AM/PM"
+ * (flashscoreusa.com) and "DD/MM/YYYY HH:MM" (flashscore.co.uk and others).
+ * Slashed dates are read as `order` (default MDY) unless a part over 12
+ * makes the order obvious.
  * @param {string} dateStr
- * @returns {Date|null}
+ * @param {{timeZone?: string, order?: 'MDY'|'DMY'}} [options]
+ * @returns {{date: Date, local: string, timeZone: string}|null}
+ *   date – UTC instant; local – the original wall-clock "YYYY-MM-DDTHH:MM"
  */
-export function parseDate(dateStr) {
+export function parseKickoff(dateStr, { timeZone = LOCAL_TIMEZONE, order = 'MDY' } = {}) {
   if (!dateStr) return null;
 
-  // Match e.g. "25.04.2025 15:00"
-  const m = dateStr.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}:\d{2})/);
-  if (m) {
-    const [, d, M, Y, t] = m;
-    return new Date(`${Y}-${M.padStart(2,'0')}-${d.padStart(2,'0')}T${t}:00`);
+  const m = dateStr.match(
+    /(\d{1,2})([./])(\d{1,2})\2(\d{4})\s+(\d{1,2}):(\d{2})(?:\s*([AaPp])\.?[Mm]\.?)?/
+  );
+  if (!m) return null;
+
+  const [, a, sep, b, Y, hh, mm, ampm] = m;
+  let d = +a, M = +b;                       // dotted dates are always day first
+  if (sep === '/') {
+    const dayFirst = +a > 12 || (+b <= 12 && order === 'DMY');
+    [d, M] = dayFirst ? [+a, +b] : [+b, +a];
   }
 
+  let h = +hh;
+  if (ampm) h = (h % 12) + (/p/i.test(ampm) ? 12 : 0);
+
+  const date = zonedTimeToUtc(+Y, M, d, h, +mm, timeZone);
+  if (isNaN(date.getTime())) return null;
+
+  const pad = n => String(n).padStart(2, '0');
+  return { date, local: `${Y}-${pad(M)}-${pad(d)}T${pad(h)}:${mm}`, timeZone };
+}
+
+/**
+ * Parses a date string in various Flashscore formats into a JS Date (UTC).
+ * See parseKickoff for the supported formats; anything else falls back to
+ * native parsing.
+ * @param {string} dateStr
+ * @param {{timeZone?: string, order?: 'MDY'|'DMY'}} [options]
+ * @returns {Date|null}
+ */
+export function parseDate(dateStr, options = {}) {
+  if (!dateStr) return null;
+
+  const kickoff = parseKickoff(dateStr, options);
+  if (kickoff) return kickoff.date;
+
   // Fallback to Date constructor
   const fallback = new Date(dateStr);
   return isNaN(fallback.getTime()) ? null : fallback;
 }
 
+/**
+ * Parses the short dates shown in H2H rows into a JS Date (UTC midnight).
+ * Supports "DD.MM.YY" (flashscore.com) and "MM/DD/YY" (flashscoreusa.com).
+ * @param {string} dateStr
+ * @returns {Date|null}
+ */
+export function parseShortDate(dateStr) {
+  if (!dateStr) return null;
+
+  const dotted = dateStr.match(/(\d{1,2})\.(\d{1,2})\.(\d{2,4})/);
+  const slashed = dateStr.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+
+  let d, M, Y;
+  if (dotted)       [, d, M, Y] = dotted;
+  else if (slashed) [, M, d, Y] = slashed;
+  else return null;
+
+  // Two-digit years: anything past next year belongs to the previous century
+  if (Y.length === 2) {
+    const pivot = new Date().getUTCFullYear() % 100 + 1;
+    Y = `${+Y > pivot ? 19 : 20}${Y}`;
+  }
+  const date = new Date(Date.UTC(+Y, +M - 1, +d));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses a match statistics value into numbers.
+ * "55%" → 55, "1.43" → 1.43, "412/480" and "86% (412/480)" →
+ * { value: 412, total: 480, pct: 86 }. Blank or "-" values give null.
+ * @param {string} valueStr
+ * @returns {number|{value:number,total:number,pct:number}|null}
+ */
+export function parseStatValue(valueStr) {
+  const str = valueStr?.replace(/\s+/g, ' ').trim();
+  if (!str || str === '-') return null;
+
+  const ratio = str.match(/(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+  if (ratio) {
+    const value = parseFloat(ratio[1]);
+    const total = parseFloat(ratio[2]);
+    const pctMatch = str.match(/(\d+(?:\.\d+)?)\s*%/);
+    const pct = pctMatch
+      ? parseFloat(pctMatch[1])
+      : (total ? Math.round(value / total * 100) : 0);
+    return { value, total, pct };
+  }
+
+  const num = parseFloat(str.replace(/[%,]/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Turns a FlashScore stat label into a stable camelCase key.
+ * "Expected Goals (xG)" → "expectedGoalsXg"
+ * @param {string} name
+ * @returns {string}
+ */
+export function statKey(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
+    .replace(/^[^a-z]+/, '');
+}
+
+/**
+ * Expands a formation string into per-slot positions for the starting XI.
+ * FlashScore lists starters keeper first, then line by line, so "4-2-3-1"
+ * gives GK, 4×DF, 5×MF, FW. Returns [] when the formation is unknown.
+ * @param {string} formation
+ * @returns {string[]}
+ */
+export function positionsFromFormation(formation) {
+  const lines = (formation || '').split('-').map(n => parseInt(n, 10));
+  if (lines.length < 2 || lines.some(n => isNaN(n))) return [];
+
+  const positions = ['GK'];
+  lines.forEach((count, i) => {
+    const pos = i === 0 ? 'DF' : i === lines.length - 1 ? 'FW' : 'MF';
+    for (let k = 0; k < count; k++) positions.push(pos);
+  });
+  return positions;
+}
+
 /**
  * Creates a consistent internalId for a match without the league.
  * Format: YYYYMMDD_hometeam_vs_awayteam
@@ -42,6 +193,23 @@ export function createInternalId(homeTeam, awayTeam, date) {
   return `${datePart}_${normalize(homeTeam)}_vs_${normalize(awayTeam)}`;
 }
 
+/**
+ * Creates an internalId from FlashScore team IDs instead of names.
+ * Format: YYYYMMDD_<homeTeamId>_vs_<awayTeamId> (IDs keep their case)
+ * @param {string} homeTeamId
+ * @param {string} awayTeamId
+ * @param {Date} date
+ * @returns {string}
+ */
+export function createTeamInternalId(homeTeamId, awayTeamId, date) {
+  let datePart = '';
+  if (date instanceof Date && !isNaN(date.getTime())) {
+    datePart = date.toISOString().split('T')[0].replace(/-/g, '');
+  }
+
+  return `${datePart}_${homeTeamId}_vs_${awayTeamId}`;
+}
+
 /**
  * Updates the date and (optionally) internalId for a match document in MongoDB.
  * @param {object} db - MongoDB database instance
@@ -51,31 +219,171 @@ export function createInternalId(homeTeam, awayTeam, date) {
  * @returns {Promise<boolean>} - true if a document was modified
  */
 export async function updateMatchDate(db, matchId, date, internalId) {
-  console.log(`[utils] 🔄 Updating match ${matchId}: date=${date.toISOString()} internalId=${internalId}`);
-  const updateFields = {
-    date,
-    dateFixed: true,
-    dateFixedAt: new Date(),
-    updatedAt: new Date()
-  };
-  if (internalId) updateFields.internalId = internalId;
+  return (await updateMatchDates(db, [{ matchId, date, internalId }])) > 0;
+}
 
-  const res = await db.collection('matches').updateOne(
-    { matchId },
-    { $set: updateFields }
-  );
+/**
+ * Bulk form of updateMatchDate: one bulkWrite for any number of fixes, each
+ * { matchId, date, internalId?, localKickoff?, timeZone? }. A new internalId
+ * is copied to match_details as well. Fixes without a valid date are skipped.
+ * @param {object} db - MongoDB database instance
+ * @param {object[]} fixes
+ * @returns {Promise<number>} - matches modified
+ */
+export async function updateMatchDates(db, fixes) {
+  const valid = fixes.filter(f => f.date instanceof Date && !isNaN(f.date.getTime()));
+  if (valid.length < fixes.length) console.warn(`[utils] ⚠️ Skipping ${fixes.length - valid.length} fix(es) without a valid date`);
+  if (!valid.length) return 0;
+
+  console.log(`[utils] 🔄 Updating ${valid.length} match date(s)`);
+  const now = new Date();
+  // Every row of the match (one per team listing it) gets the same date
+  const res = await db.collection('matches').bulkWrite(valid.map(({ matchId, date, internalId, localKickoff, timeZone }) => ({
+    updateMany: {
+      filter: { matchId },
+      update: { $set: {
+        date,
+        dateFixed: true,
+        dateFixedAt: now,
+        updatedAt: now,
+        ...(internalId && { internalId }),
+        ...(localKickoff && { localKickoff, timeZone })
+      } }
+    }
+  })), { ordered: false });
+
+  const renamed = valid.filter(f => f.internalId);
+  if (renamed.length) {
+    await db.collection('match_details').bulkWrite(renamed.map(({ matchId, internalId }) => ({
+      updateOne: { filter: { matchId }, update: { $set: { internalId, updatedAt: now } } }
+    })), { ordered: false });
+  }
 
   console.log(`[utils] ✅ Modified ${res.modifiedCount} document(s)`);
-  return res.modifiedCount > 0;
+  return res.modifiedCount;
+}
+
+// The internalId for a repaired kickoff, in the stored id's format: a stored
+// YYYYMMDD_<homeTeamId>_vs_<awayTeamId> stays team-ID based
+function repairedInternalId(details, match, date, idMode) {
+  const homeId = details.teams?.home?.id;
+  const awayId = details.teams?.away?.id;
+  const teamMode = homeId && awayId && (idMode === 'teamId' ||
+    (idMode === 'auto' && match.internalId?.endsWith(`_${homeId}_vs_${awayId}`)));
+  if (teamMode) return createTeamInternalId(homeId, awayId, date);
+
+  const home = details.teams?.home?.name || details.basicInfo.homeTeam;
+  const away = details.teams?.away?.name || details.basicInfo.awayTeam;
+  return createInternalId(home, away, date);
+}
+
+/**
+ * Re-parses match_details.basicInfo.dateStr in an explicit source zone and
+ * fixes every match whose date/internalId came out shifted (see
+ * repair-dates.js). `markVerified` also stamps dateFixed on matches that
+ * were already right, and `onlyUnverified` skips matches stamped before, so
+ * the repair can be re-run incrementally. Each chunk's fixes go through
+ * updateMatchDates.
+ * internalIds are rebuilt in the format they are stored in (name or teamId,
+ * see createTeamInternalId) unless `idMode` forces one.
+ * @param {object} db - MongoDB database instance
+ * @param {{timeZone: string, order?: string, limit?: number, dryRun?: boolean,
+ *          markVerified?: boolean, onlyUnverified?: boolean,
+ *          idMode?: 'auto'|'name'|'teamId'}} options
+ * @returns {Promise<{checked: number, shifted: number, fixed: number, verified: number, unparsable: number, noMatch: number}>}
+ */
+export async function repairMatchDates(db, {
+  timeZone, order = 'MDY', limit = 0, dryRun = false,
+  markVerified = false, onlyUnverified = false, idMode = 'auto'
+}) {
+  if (!timeZone) throw new Error('repairMatchDates needs the source timeZone');
+
+  const stats = { checked: 0, shifted: 0, fixed: 0, verified: 0, unparsable: 0, noMatch: 0 };
+  const CHUNK = 500;
+
+  const cur = db.collection('match_details')
+    .find({ 'basicInfo.dateStr': { $type: 'string' } })
+    .project({ matchId: 1, basicInfo: 1, teams: 1 });
+  if (limit) cur.limit(limit);
+
+  let buf = [];
+  const flush = async () => {
+    const matchQuery = { matchId: { $in: buf.map(d => d.matchId) } };
+    if (onlyUnverified) matchQuery.dateFixed = { $ne: true };
+    const matches = await db.collection('matches')
+      .find(matchQuery)
+      .project({ matchId: 1, date: 1, internalId: 1 })
+      .toArray();
+    const byId = new Map(matches.map(m => [m.matchId, m]));
+    const verified = [], fixes = [];
+
+    for (const d of buf) {
+      stats.checked++;
+      const kickoff = parseKickoff(d.basicInfo.dateStr, { timeZone, order });
+      if (!kickoff) { stats.unparsable++; continue; }
+
+      const match = byId.get(d.matchId);
+      if (!match) { stats.noMatch++; continue; }
+
+      const internalId = repairedInternalId(d, match, kickoff.date, idMode);
+
+      const sameDate = match.date instanceof Date && match.date.getTime() === kickoff.date.getTime();
+      if (sameDate && match.internalId === internalId) {
+        verified.push(d.matchId);
+        continue;
+      }
+
+      stats.shifted++;
+      console.log(
+        `  ${d.matchId}: ${match.date?.toISOString?.() ?? match.date} ${match.internalId} → ` +
+        `${kickoff.date.toISOString()} ${internalId} (local ${kickoff.local})`
+      );
+      if (dryRun) continue;
+
+      fixes.push({ matchId: d.matchId, date: kickoff.date, internalId,
+                   localKickoff: kickoff.local, timeZone: kickoff.timeZone });
+    }
+
+    if (fixes.length) stats.fixed += await updateMatchDates(db, fixes);
+
+    if (markVerified && !dryRun && verified.length) {
+      const res = await db.collection('matches').updateMany(
+        { matchId: { $in: verified }, dateFixed: { $ne: true } },
+        { $set: { dateFixed: true, dateFixedAt: new Date() } }
+      );
+      stats.verified += res.modifiedCount;
+    }
+    buf = [];
+  };
+
+  for await (const d of cur) {
+    buf.push(d);
+    if (buf.length === CHUNK) await flush();
+  }
+  if (buf.length) await flush();
+
+  return stats;
 }
 
 
 // utils.js  ───────────────
+/**
+ * Splits a FlashScore clock string into regulation minute and stoppage time.
+ * "45+2'" → { minute: 45, addedTime: 2 }, "67'" → { minute: 67, addedTime: 0 }
+ * @param {string} minuteStr
+ * @returns {{minute: number|null, addedTime: number}}
+ */
+export function parseMinute(minuteStr) {
+  const m = (minuteStr || '').match(/(\d+)\s*(?:\+\s*(\d+))?/);
+  if (!m) return { minute: null, addedTime: 0 };
+  return { minute: parseInt(m[1], 10), addedTime: m[2] ? parseInt(m[2], 10) : 0 };
+}
+
 export function dedupeEvents(raw) {
-  const byKey = new Map();                // key = minute|type|player
+  const byKey = new Map();                // key = minute|addedTime|side|type|player
 
   for (const e of raw) {
-    const key = [e.minute, e.type, e.player].join('|');
+    const key = [e.minute, e.addedTime, e.side, e.type, e.player].join('|');
 
     if (!byKey.has(key)) {
       byKey.set(key, { ...e });           // first sighting
@@ -90,8 +398,10 @@ export function dedupeEvents(raw) {
 
     // propagate own-goal flag
     if (e.isOwnGoal) stored.isOwnGoal = true;
+
+    // keep the running score if only one version carried it
+    if (!stored.scoreAfter && e.scoreAfter) stored.scoreAfter = e.scoreAfter;
   }
 
   return [...byKey.values()];
 }
-